@@ -3,6 +3,8 @@ import {
   loadAllModels,
   autoSetupCameraAndControls,
   getAvailableModels,
+  applyModelPlacement,
+  computeModelsBounds,
 } from "./modelLoader.js";
 import BoxModel from "./src/components/boxModel.js";
 
@@ -10,20 +12,61 @@ import BoxModel from "./src/components/boxModel.js";
 import { SceneManager } from "./src/components/sceneManager.js";
 import { CameraManager } from "./src/components/cameraManager.js";
 import { LightingManager } from "./src/components/lightingManager.js";
-import { getAdjustedLightConfig } from "./src/assets/lightConfig.js";
-import { getProjectEnvironmentConfig } from "./src/assets/enviromentConfig.js";
+import {
+  getAdjustedLightConfig,
+  lightingPresets,
+} from "./src/assets/lightConfig.js";
+import {
+  environmentPresets,
+  getProjectEnvironmentConfig,
+  validateEnvironmentConfig,
+} from "./src/assets/enviromentConfig.js";
 import { BackgroundManager } from "./src/components/backgroundManager.js";
+import { PostProcessingManager } from "./src/components/postProcessingManager.js";
+import { InteractionManager } from "./src/components/interactionManager.js";
+import { ModelInspector } from "./src/components/modelInspector.js";
+import { HierarchyPanel } from "./src/components/hierarchyPanel.js";
+import {
+  ANTIALIAS_MODES,
+  validatePostProcessingConfig,
+} from "./src/assets/postProcessingConfig.js";
 import { AnimationManager } from "./src/components/animationManager.js";
+import { ProgressTracker } from "./src/components/progressTracker.js";
+import { LoadingOverlay } from "./src/components/loadingOverlay.js";
+import { AnimationProgress } from "./src/components/animationProgress.js";
+import { RenderLoop } from "./src/components/renderLoop.js";
+import {
+  MessageBridge,
+  CommandError,
+  MessageErrorCode,
+  MESSAGE_PROTOCOL_VERSION,
+} from "./src/components/messageBridge.js";
+import config from "./src/assets/config.js";
 
 // 创建管理器实例
 const sceneManager = new SceneManager();
 const cameraManager = new CameraManager();
 const lightingManager = new LightingManager();
 const backgroundManager = new BackgroundManager();
+const postProcessingManager = new PostProcessingManager();
+const interactionManager = new InteractionManager();
 const animationManager = new AnimationManager();
+const progressTracker = new ProgressTracker();
+const loadingOverlay = new LoadingOverlay(progressTracker);
+const animationProgress = new AnimationProgress(animationManager);
+const messageBridge = new MessageBridge();
+const renderLoop = new RenderLoop();
+const modelInspector = new ModelInspector();
+const hierarchyPanel = new HierarchyPanel(modelInspector, {
+  visible: config.inspector && config.inspector.panelVisible,
+  // 点击面板中的节点名称时在场景中选中该节点
+  onSelect: ({ object, modelName }) =>
+    interactionManager.select({ object, modelName }),
+});
 
 // 全局变量
 let groundEffect = null;
+let loadedModels = [];
 
 /**
  * 初始化场景
@@ -35,7 +78,8 @@ function initScene() {
     height: window.innerHeight,
     enableShadows: true,
     enableAntialias: true,
-    environment: getProjectEnvironmentConfig() // 使用项目默认环境配置
+    environment: getProjectEnvironmentConfig(), // 使用项目默认环境配置
+    progressTracker,
   });
 
   // 将渲染器添加到DOM
@@ -64,6 +108,9 @@ function initScene() {
     target: new THREE.Vector3(0, 0, 0),
   });
 
+  // 加载配置文件中的预设视角
+  cameraManager.importViewpoints(config.viewpoints || []);
+
   // 初始化轨道控制器
   cameraManager.initControls(renderer, {
     enableDamping: true,
@@ -71,11 +118,38 @@ function initScene() {
     target: new THREE.Vector3(0, 0, 0),
   });
 
+  // 初始化后处理管线，尺寸随 sceneManager.resize 同步更新
+  postProcessingManager.init(scene, renderer, cameraManager.getCamera());
+  sceneManager.setPostProcessing(postProcessingManager);
+
+  // 初始化模型拾取，悬停和选中高亮使用后处理描边或自发光
+  interactionManager.init(cameraManager.getCamera(), renderer.domElement, {
+    ...config.interaction,
+    postProcessingManager,
+  });
+
+  // 初始化模型层级检查器（孤立模式取景、透明模式与交互高亮协同）
+  const { panelVisible, ...inspectorOptions } = config.inspector || {};
+  modelInspector.init({
+    ...inspectorOptions,
+    cameraManager,
+    interactionManager,
+  });
+
   // // 初始化灯光管理器
-  lightingManager.init(scene);
+  lightingManager.init(scene, renderer);
+
+  // 环境贴图变化（包括 HDR 异步加载完成）后重新生成光照探针
+  sceneManager.addEventListener("environmentChange", () => {
+    lightingManager.updateLightProbes();
+  });
+
+  // 程序化天空的太阳移动后同步主平行光
+  sceneManager.addEventListener("sunChange", syncSunLight);
   
   // // 从配置文件加载灯光
   lightingManager.loadFromConfig();
+  syncSunLight();
 
   return { scene, renderer };
 }
@@ -84,61 +158,89 @@ function initScene() {
  * 设置模型和场景
  */
 function setupModelAndScene(scene) {
-  // 定义物体向右偏移量
-  const sceneOffset = new THREE.Vector3(4, 0, 0);
+  // 地面纹理在模型加载完成后才开始加载，提前注册以免加载遮罩过早完成
+  progressTracker.register("texture:ground", { type: "texture" });
+
+  const failedModels = [];
 
-  loadAllModels(scene)
+  loadAllModels(scene, {
+    progressTracker,
+    onModelError: ({ modelName, error }) => {
+      failedModels.push({ modelName, message: error && error.message });
+    },
+  })
     .then((models) => {
-      // 获取第一个模型（如果只加载一个模型的话）
-      const {
-        model,
-        boundingBox,
-        center,
-        size,
-        radius,
-        mixer: loadedMixer,
-        animations,
-        isControlCenter,
-        modelName,
-      } = models[0]; // 从数组中获取第一个模型
-
-      // 移动模型
-      model.position.add(sceneOffset);
-
-      // 设置动画管理器
-      animationManager.setMixer(loadedMixer, animations);
-
-      // 遍历模型，设置金属材质属性
-      model.traverse((child) => {
-        if (child.isMesh && child.material) {
-          if (
-            child.material.isMeshStandardMaterial ||
-            child.material.isMeshPhysicalMaterial
-          ) {
-            child.material.envMapIntensity = 2.0;
-            child.material.needsUpdate = true;
-          }
-        }
+      loadedModels = models;
+
+      // 按 modelConfig.js 摆放所有模型
+      models.forEach((modelInfo) => applyModelPlacement(scene, modelInfo));
+      // 让 modelConfig 中覆盖的环境贴图强度对已加载的环境生效
+      sceneManager.updateAllMaterialsEnvironment();
+      // 将配置中指定名称的物体加入辉光层
+      postProcessingManager.applyBloomSelection(scene);
+      // 已加载的模型参与拾取，并建立层级面板的节点索引
+      interactionManager.setTargets(models);
+      modelInspector.setModels(models);
+
+      // 通知宿主页面模型加载完成
+      messageBridge.emit("loaded", {
+        models: models.map(({ modelName }) => modelName),
+        failed: failedModels,
+      });
+
+      // 计算所有可见模型的合并包围盒
+      const bounds = computeModelsBounds(models);
+      if (!bounds) {
+        console.warn("没有可见的模型，跳过场景设置");
+        progressTracker.complete("texture:ground");
+        return;
+      }
+      const { boundingBox, center, radius } = bounds;
+
+      // 注册每个模型的动画混合器
+      animationManager.clearMixers();
+      models.forEach(({ modelName, mixer, animations }) => {
+        animationManager.addMixer(modelName, mixer, animations);
       });
 
       // 自动设置相机和控制器（基于配置）
-      const cameraInfo = autoSetupCameraAndControls(cameraManager, models);
+      const cameraInfo = autoSetupCameraAndControls(cameraManager, models, bounds);
 
       if (cameraInfo) {
         console.log("🎯 相机和控制器已根据配置自动设置");
       } else {
-        // 如果自动设置失败，使用默认设置
-        cameraManager.setupForModel(boundingBox, center, radius, 6);
+        // 如果自动设置失败，使用所有模型的合并包围盒
+        const fallback = cameraManager.setupForModel(boundingBox, center, radius);
+        if (fallback) {
+          // 右键双击返回的初始视角
+          cameraManager.addViewpoint({
+            name: "default",
+            position: fallback.position,
+            target: fallback.target,
+          });
+        }
         console.log("⚠️ 自动设置失败，使用默认相机设置");
       }
 
+      // 根据场景包围盒限制相机活动范围
+      cameraManager.setConstraintsFromBounds(
+        boundingBox,
+        config.cameraConstraints
+      );
+
       // 创建地面效果
-      const core = { scene: scene };
+      const core = {
+        scene: scene,
+        progressTracker,
+        postprocessing: postProcessingManager,
+        renderLoop,
+        renderMode: config.renderLoop && config.renderLoop.groundEffect,
+      };
       groundEffect = new BoxModel(core);
 
       // 计算地面位置
       const groundCenter = new THREE.Vector3(
-        center.x + sceneOffset.x,
+        center.x,
         boundingBox.min.y - radius,
         center.z
       );
@@ -147,19 +249,27 @@ function setupModelAndScene(scene) {
       groundEffect.initModel(groundCenter, radius);
 
       // 根据模型位置动态调整灯光配置
-      const adjustedLightConfig = getAdjustedLightConfig(center, radius, sceneOffset);
+      const adjustedLightConfig = getAdjustedLightConfig(center, radius);
       lightingManager.loadFromConfig(adjustedLightConfig);
-
-      console.log("物体向右平移完成:", {
-        物体偏移量: sceneOffset,
-        物体新位置: model.position,
-        原始中心保持: center,
+      // 雾效距离和高度按模型包围盒计算
+      sceneManager.setFogBounds(boundingBox);
+
+      // 灯光预设同样围绕模型摆放
+      lightingManager.setPlacement(center, radius);
+      syncSunLight();
+
+      console.log("模型摆放完成:", {
+        模型: models.map(({ modelName, model, isControlCenter }) => ({
+          模型名称: modelName,
+          位置: model.position,
+          可见: model.visible,
+          控制中心模型: isControlCenter ? "是" : "否",
+        })),
+        场景中心: center,
+        场景半径: radius,
         相机位置: cameraManager.getCamera().position,
-        相机朝向: center,
         控制器目标: cameraManager.getControls().target,
         地面位置: groundCenter,
-        控制中心模型: isControlCenter ? "是" : "否",
-        模型名称: modelName,
       });
 
       // 显示控制中心配置信息
@@ -169,6 +279,7 @@ function setupModelAndScene(scene) {
     })
     .catch((error) => {
       console.error("Failed to setup model and controls:", error);
+      progressTracker.fail("texture:ground", error);
     });
 }
 
@@ -185,6 +296,10 @@ function setupEventListeners(renderer) {
       console.log("控制器目标 (Target):", cameraInfo.target);
       console.log("相机旋转 (Rotation):", cameraInfo.rotation);
       console.log("相机距离目标:", cameraInfo.distance);
+      console.log(
+        "视角配置 (可复制到 config.viewpoints):",
+        JSON.stringify(cameraManager.captureViewpoint("viewpoint"))
+      );
       console.log("========================");
     }
   });
@@ -200,6 +315,8 @@ function setupEventListeners(renderer) {
         if (animationManager.hasAnimations()) {
           if (!animationManager.isAnimationPlaying()) {
             animationManager.play();
+            // 从暂停状态继续播放
+            animationManager.resume();
           } else {
             animationManager.togglePlayPause();
           }
@@ -226,39 +343,633 @@ function setupEventListeners(renderer) {
     sceneManager.resize(width, height);
   });
 
-  // 消息监听
-  window.addEventListener("message", (event) => {
-    const { cmd, params } = event.data || {};
-    if (cmd === "init" && params) {
+  // 双击部件聚焦，右键双击返回初始视角
+  const focusConfig = (config.interaction && config.interaction.focus) || {};
+  interactionManager.addEventListener("dblclick", ({ object }) => {
+    if (object && focusConfig.enabled !== false) {
+      cameraManager.focusOn(object, focusConfig);
     }
   });
+  interactionManager.addEventListener("rightdblclick", () => {
+    if (focusConfig.enabled !== false && cameraManager.getViewpoint("default")) {
+      cameraManager.recallViewpoint("default", {
+        duration: focusConfig.duration,
+      });
+    }
+  });
+
+  // 动画片段和时间线播放结束后通知宿主页面
+  animationManager.addEventListener("finished", ({ clip, model, id }) => {
+    messageBridge.emit("animationFinished", { clip, model, id });
+  });
+  animationManager.addEventListener("timelineFinished", ({ completed }) => {
+    messageBridge.emit("timelineFinished", { completed });
+  });
+
+  // 场景中选中的节点在层级面板中展开并标记
+  interactionManager.addEventListener("select", ({ object }) => {
+    hierarchyPanel.reveal(object ? modelInspector.getNodeId(object) : null);
+  });
+
+  // 节点显隐、孤立/透明模式变化后通知宿主页面
+  modelInspector.addEventListener("change", ({ state }) => {
+    messageBridge.emit("hierarchyChanged", state);
+  });
+
+  // 拾取事件转发给宿主页面
+  interactionManager.addEventListener("hover", (event) => {
+    messageBridge.emit("objectHover", getPickState(event));
+  });
+  interactionManager.addEventListener("click", (event) => {
+    messageBridge.emit("objectClick", getPickState(event));
+  });
+  interactionManager.addEventListener("dblclick", (event) => {
+    messageBridge.emit("objectDblClick", getPickState(event));
+  });
+
+  // 相机停止变化后通知宿主页面（阻尼过程中会连续触发 change，做防抖处理）
+  let cameraChangedTimer = null;
+  cameraManager.getControls().addEventListener("change", () => {
+    clearTimeout(cameraChangedTimer);
+    cameraChangedTimer = setTimeout(() => {
+      messageBridge.emit("cameraChanged", getCameraState());
+    }, 200);
+  });
+}
+
+/**
+ * 获取相机状态（数值形式，用于与宿主页面通信）
+ */
+function getCameraState() {
+  const camera = cameraManager.getCamera();
+  const { target } = cameraManager.getControls();
+
+  return {
+    position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+    target: { x: target.x, y: target.y, z: target.z },
+    fov: camera.fov,
+  };
 }
 
 /**
- * 动画循环
+ * 获取拾取事件数据（数值形式，用于与宿主页面通信）
+ * @param {Object} event - InteractionManager 事件 { object, mesh, modelName, point }
  */
-function animate(time) {
-  requestAnimationFrame(animate);
+function getPickState({ object, mesh, modelName, point }) {
+  return {
+    name: object ? object.name : null,
+    mesh: mesh ? mesh.name : null,
+    model: modelName,
+    point: point ? { x: point.x, y: point.y, z: point.z } : null,
+  };
+}
 
-  // 更新控制器
-  cameraManager.update();
+/**
+ * 将 {x, y, z} 参数转换为 THREE.Vector3
+ * @param {Object} value - 参数值
+ * @param {string} name - 参数名称（用于错误提示）
+ */
+function toVector3(value, name) {
+  if (
+    !value ||
+    !["x", "y", "z"].every((axis) => Number.isFinite(value[axis]))
+  ) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      `参数 ${name} 需要为 { x, y, z } 格式`
+    );
+  }
+  return new THREE.Vector3(value.x, value.y, value.z);
+}
 
-  // 更新地面效果动画
-  if (groundEffect) {
-    groundEffect.update(time * 0.001);
+/**
+ * 设置模型可见性
+ * @param {Array<string>|string} names - 模型名称
+ * @param {boolean} visible - 是否可见
+ */
+function setModelsVisible(names, visible) {
+  const nameList = Array.isArray(names) ? names : [names];
+  const missing = nameList.filter(
+    (name) => !loadedModels.some((item) => item.modelName === name)
+  );
+  if (nameList.length === 0 || missing.length > 0) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      `未找到模型: ${missing.join(", ") || "(空)"}`
+    );
   }
 
-  // 更新动画
-  animationManager.updateWithClock();
+  loadedModels.forEach(({ model, modelName }) => {
+    if (nameList.includes(modelName)) {
+      model.visible = visible;
+    }
+  });
+  modelInspector.notifyChange();
 
-  // 渲染场景
-  const renderer = sceneManager.getRenderer();
-  const camera = cameraManager.getCamera();
-  if (renderer && camera) {
-    renderer.render(sceneManager.getScene(), camera);
+  return { models: nameList, visible };
+}
+
+/**
+ * 检查动画片段是否存在
+ * @param {string} name - 片段 id（模型名称/片段名称）或片段名称
+ * @param {string} model - 模型名称（可选）
+ */
+function assertClip(name, model) {
+  if (!animationManager.getClipAction(name, model)) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      model === undefined
+        ? `动画片段 ${name} 不存在`
+        : `模型 ${model} 的动画片段 ${name} 不存在`
+    );
   }
 }
 
+/**
+ * 检查模型是否有动画（未指定模型时不检查）
+ * @param {string} model - 模型名称
+ */
+function assertAnimatedModel(model) {
+  if (model !== undefined && !animationManager.hasAnimations(model)) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      `模型 ${model} 没有动画`
+    );
+  }
+}
+
+/**
+ * 查找层级节点
+ * @param {Object} params - { id } 或 { name, model? }
+ */
+function findInspectorNode({ id, name, model }) {
+  if (id === undefined && name === undefined) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      "需要指定 id 或 name"
+    );
+  }
+  const node = modelInspector.findNode({ id, name, model });
+  if (!node) {
+    throw new CommandError(
+      MessageErrorCode.INVALID_PARAMS,
+      `节点 ${id !== undefined ? id : name} 不存在`
+    );
+  }
+  return node;
+}
+
+/**
+ * 获取层级面板状态（检查器模式和面板显示状态）
+ */
+function getHierarchyState() {
+  return { ...modelInspector.getState(), panel: hierarchyPanel.getState() };
+}
+
+/**
+ * 将主平行光对齐到程序化天空的太阳（当前环境不是程序化天空时不做处理）
+ */
+function syncSunLight() {
+  const sun = sceneManager.getSunState();
+  if (sun) {
+    lightingManager.alignToSun(sun.direction, sun.color);
+  }
+}
+
+/**
+ * 设置宿主页面通信命令
+ */
+function setupMessageBridge() {
+  messageBridge.registerAll({
+    // 握手，返回可用的命令和资源信息
+    init: () => ({
+      protocolVersion: MESSAGE_PROTOCOL_VERSION,
+      commands: messageBridge.getCommands(),
+      models: loadedModels.map(({ modelName, model }) => ({
+        name: modelName,
+        visible: model.visible,
+      })),
+      environmentPresets: Object.keys(environmentPresets),
+      lights: Array.from(lightingManager.lights.keys()),
+      lightingPresets: Object.keys(lightingPresets),
+      camera: getCameraState(),
+    }),
+
+    // 设置相机位置和目标点: { position?: {x,y,z}, target?: {x,y,z}, duration?: 毫秒, easing?: string }
+    setCamera: ({ position, target, duration = 0, easing }) => {
+      if (!position && !target) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          "需要指定 position 或 target"
+        );
+      }
+      return cameraManager
+        .flyTo({
+          position: position ? toVector3(position, "position") : undefined,
+          target: target ? toVector3(target, "target") : undefined,
+          duration,
+          easing,
+        })
+        .then((completed) => ({ completed, ...getCameraState() }));
+    },
+
+    // 视角: 列表、保存、飞行、导入
+    getViewpoints: () => cameraManager.getViewpoints(),
+    saveViewpoint: ({ name }) => {
+      if (!name) {
+        throw new CommandError(MessageErrorCode.INVALID_PARAMS, "需要指定 name");
+      }
+      return cameraManager.saveViewpoint(name);
+    },
+    // { name: string, duration?: 毫秒, easing?: string }
+    recallViewpoint: ({ name, duration, easing }) => {
+      if (!cameraManager.getViewpoint(name)) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          `视角 ${name} 不存在`
+        );
+      }
+      return cameraManager
+        .recallViewpoint(name, { duration, easing })
+        .then((completed) => ({ completed, ...getCameraState() }));
+    },
+    // { viewpoints: Array, replace?: boolean }
+    setViewpoints: ({ viewpoints, replace = false }) => ({
+      imported: cameraManager.importViewpoints(viewpoints, { replace }),
+    }),
+
+    // 切换环境预设: { preset: string }
+    setEnvironment: ({ preset }) => {
+      if (!environmentPresets[preset]) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          `未知的环境预设: ${preset}`
+        );
+      }
+      if (!sceneManager.switchPreset(preset)) {
+        throw new CommandError(
+          MessageErrorCode.COMMAND_FAILED,
+          `环境预设 ${preset} 应用失败`
+        );
+      }
+      return { preset };
+    },
+
+    // 调整程序化天空: { elevation?: 度, azimuth?: 度, turbidity?: number, rayleigh?: number }
+    setSun: (params) => {
+      if (!sceneManager.getSunState()) {
+        throw new CommandError(
+          MessageErrorCode.COMMAND_FAILED,
+          "当前环境不是程序化天空"
+        );
+      }
+      const keys = ["elevation", "azimuth", "turbidity", "rayleigh"];
+      const skyParams = {};
+      keys.forEach((key) => {
+        if (params[key] !== undefined) {
+          if (!Number.isFinite(params[key])) {
+            throw new CommandError(
+              MessageErrorCode.INVALID_PARAMS,
+              `${key} 必须为数字`
+            );
+          }
+          skyParams[key] = params[key];
+        }
+      });
+      sceneManager.updateSky(skyParams);
+      const { elevation, azimuth } = sceneManager.getSunState();
+      return { elevation, azimuth };
+    },
+
+    // 调整雾效: { enabled?, type?: 'linear'|'exp2'|'height', color?, near?, far?, density?, height?, falloff? }
+    setFog: (params) => {
+      const validation = validateEnvironmentConfig({ type: "none", fog: params });
+      if (!validation.valid) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          validation.errors.join("; ")
+        );
+      }
+      sceneManager.updateFog(params);
+      const { resolved, ...fog } = sceneManager.fogManager.getConfig();
+      return { ...fog, ...resolved, color: new THREE.Color(fog.color).getHex() };
+    },
+
+    // 调整后处理效果: { effect: 'bloom'|'outline'|'ssao', enabled?, ...参数 } 或 { effect: 'antialias', mode }
+    // 不指定 effect 时按 enabled 开关整个后处理管线
+    setPostProcessing: ({ effect, mode, ...params }) => {
+      if (effect === undefined) {
+        if (params.enabled !== undefined) {
+          postProcessingManager.setEnabled(params.enabled);
+        }
+        return postProcessingManager.getConfig();
+      }
+
+      const validation = validatePostProcessingConfig({
+        [effect]: effect === "antialias" ? mode : params,
+      });
+      if (!["bloom", "outline", "ssao", "antialias"].includes(effect)) {
+        validation.errors.unshift(`未知的后处理效果: ${effect}`);
+      } else if (effect === "antialias" && mode === undefined) {
+        validation.errors.push(`需要指定 mode: ${ANTIALIAS_MODES.join(", ")}`);
+      }
+      if (validation.errors.length > 0) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          validation.errors.join("; ")
+        );
+      }
+
+      postProcessingManager.updateEffect(
+        effect,
+        effect === "antialias" ? mode : params
+      );
+      return postProcessingManager.getConfig();
+    },
+
+    // 开关灯光: { name: string, enabled?: boolean }，不指定 enabled 时切换当前状态
+    toggleLight: ({ name, enabled }) => {
+      const light = lightingManager.getLight(name);
+      if (!light) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          `灯光 ${name} 不存在`
+        );
+      }
+      const nextEnabled = enabled === undefined ? !light.visible : !!enabled;
+      lightingManager.setLightEnabled(name, nextEnabled);
+      return { name, enabled: nextEnabled };
+    },
+
+    // 切换灯光预设: { preset: string, transitionMs?: 毫秒 }
+    setLightingPreset: ({ preset, transitionMs }) => {
+      if (!lightingPresets[preset]) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          `未知的灯光预设: ${preset}`
+        );
+      }
+      return lightingManager
+        .applyPreset(preset, { transitionMs })
+        .then((completed) => ({ preset, completed }));
+    },
+
+    // 动画控制: { model?: 模型名称 }，不指定时控制所有模型
+    playAnimation: ({ model }) => {
+      assertAnimatedModel(model);
+      if (!animationManager.play(model)) {
+        throw new CommandError(MessageErrorCode.COMMAND_FAILED, "没有可播放的动画");
+      }
+      // 从暂停状态继续播放
+      animationManager.resume(model);
+      return animationManager.getAnimationInfo();
+    },
+    pauseAnimation: ({ model }) => {
+      assertAnimatedModel(model);
+      animationManager.pause(model);
+      return animationManager.getAnimationInfo();
+    },
+    resetAnimation: ({ model }) => {
+      assertAnimatedModel(model);
+      animationManager.reset(model);
+      return animationManager.getAnimationInfo();
+    },
+    // 播放速度: { speed, model? }，指定模型时与全局速度相乘
+    setAnimationSpeed: ({ speed, model }) => {
+      if (!(Number.isFinite(speed) && speed >= 0)) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          "speed 必须是非负数"
+        );
+      }
+      assertAnimatedModel(model);
+      animationManager.setSpeed(speed, model);
+      return animationManager.getAnimationInfo();
+    },
+
+    // 模型层级: { id?: 起始节点, depth?: 展开深度 }
+    getHierarchy: ({ id, depth } = {}) => {
+      const tree = modelInspector.getTree(id, depth ?? Infinity);
+      if (tree === null) {
+        throw new CommandError(MessageErrorCode.INVALID_PARAMS, `节点 ${id} 不存在`);
+      }
+      return tree;
+    },
+    getHierarchyState: () => getHierarchyState(),
+    // 节点显隐: { id | name, model?, visible }
+    setNodeVisible: ({ visible = true, ...query }) => {
+      const { id } = findInspectorNode(query);
+      modelInspector.setVisible(id, visible);
+      return getHierarchyState();
+    },
+    // 孤立节点并取景: { id | name, model?, duration?: 毫秒 }
+    isolateNode: ({ duration, ...query }) => {
+      const { id } = findInspectorNode(query);
+      return modelInspector
+        .isolate(id, { duration })
+        .then((completed) => ({ completed, ...getHierarchyState() }));
+    },
+    // 透明其他部件: { id | name, model?, opacity?: 0-1 }
+    ghostNode: ({ opacity, ...query }) => {
+      const { id } = findInspectorNode(query);
+      if (opacity !== undefined && !(opacity >= 0 && opacity <= 1)) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          "opacity 必须在 0 到 1 之间"
+        );
+      }
+      modelInspector.ghost(id, { opacity });
+      return getHierarchyState();
+    },
+    // 退出孤立/透明模式
+    clearIsolation: () => {
+      modelInspector.clearMode();
+      return getHierarchyState();
+    },
+    // 显示/隐藏层级面板: { visible?: boolean }，不指定时切换
+    setHierarchyPanel: ({ visible } = {}) => {
+      hierarchyPanel.setVisible(
+        visible === undefined ? !hierarchyPanel.isVisible() : !!visible
+      );
+      return getHierarchyState();
+    },
+
+    // 按名称控制动画片段，name 为片段 id（模型名称/片段名称），或片段名称加可选的 model
+    getAnimations: () => ({
+      clips: animationManager.getClipNames(),
+      timelines: Object.keys(config.animationTimelines || {}),
+      ...animationManager.getAnimationInfo(),
+    }),
+    // { name, model?, loop?: 'once'|'repeat'|'pingpong', repetitions?, clampWhenFinished?, fadeIn?: 秒, timeScale? }
+    playClip: ({ name, ...options }) => {
+      assertClip(name, options.model);
+      animationManager.playClip(name, options);
+      return animationManager.getAnimationInfo();
+    },
+    // { from, to, model?, duration?: 秒, ...playClip 的播放配置 }
+    crossFadeClip: ({ from, to, duration, ...options }) => {
+      assertClip(to, options.model);
+      animationManager.crossFade(from, to, duration, options);
+      return animationManager.getAnimationInfo();
+    },
+    // { name, model?, fadeOut?: 秒 }
+    stopClip: ({ name, model, fadeOut }) => {
+      assertClip(name, model);
+      animationManager.stopClip(name, { fadeOut, model });
+      return animationManager.getAnimationInfo();
+    },
+    // 播放时间线: { name?: config.animationTimelines 中的名称, steps?: 步骤数组, loop?: boolean }
+    // 立即返回，播放结束后派发 timelineFinished 事件
+    playTimeline: ({ name, steps, loop }) => {
+      const timeline = steps || (config.animationTimelines || {})[name];
+      if (!Array.isArray(timeline) || timeline.length === 0) {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          name ? `未知的动画时间线: ${name}` : "需要指定 name 或 steps"
+        );
+      }
+      timeline.forEach((step) => {
+        if (step.clip !== undefined) assertClip(step.clip, step.model);
+      });
+      animationManager.playTimeline(timeline, { loop });
+      return animationManager.getAnimationInfo();
+    },
+    // 定位动画进度: { time?: 秒, progress?: 0-1, clip?: 片段名称, model? }，暂停时只更新姿态
+    seekAnimation: ({ time, progress, clip, model }) => {
+      if (clip !== undefined) {
+        assertClip(clip, model);
+      } else {
+        assertAnimatedModel(model);
+      }
+      if (Number.isFinite(time)) {
+        animationManager.seek(time, { clip, model });
+      } else if (Number.isFinite(progress)) {
+        animationManager.seekNormalized(progress, { clip, model });
+      } else {
+        throw new CommandError(
+          MessageErrorCode.INVALID_PARAMS,
+          "需要指定 time 或 progress"
+        );
+      }
+      return animationManager.getProgress(clip === undefined ? model : undefined);
+    },
+    // { model? }
+    getAnimationProgress: ({ model }) => animationManager.getProgress(model),
+    stopTimeline: () => {
+      animationManager.stopTimeline();
+      return animationManager.getAnimationInfo();
+    },
+
+    // 渲染循环: { paused?, timeScale?, fixedStep?: 秒, onDemand?, idleFrameRate? }
+    // 暂停后时间停止（模型动画、地面效果），相机仍可操作
+    setRenderLoop: ({ paused, timeScale, fixedStep, onDemand, idleFrameRate }) => {
+      if (timeScale !== undefined) {
+        if (!(Number.isFinite(timeScale) && timeScale >= 0)) {
+          throw new CommandError(
+            MessageErrorCode.INVALID_PARAMS,
+            "timeScale 必须是非负数"
+          );
+        }
+        renderLoop.setTimeScale(timeScale);
+      }
+      if (fixedStep !== undefined) {
+        if (!(Number.isFinite(fixedStep) && fixedStep >= 0)) {
+          throw new CommandError(
+            MessageErrorCode.INVALID_PARAMS,
+            "fixedStep 必须是非负数"
+          );
+        }
+        renderLoop.setFixedStep(fixedStep);
+      }
+      if (idleFrameRate !== undefined) {
+        if (!(Number.isFinite(idleFrameRate) && idleFrameRate >= 0)) {
+          throw new CommandError(
+            MessageErrorCode.INVALID_PARAMS,
+            "idleFrameRate 必须是非负数"
+          );
+        }
+        renderLoop.setIdleFrameRate(idleFrameRate);
+      }
+      if (onDemand !== undefined) {
+        renderLoop.setOnDemand(onDemand);
+      }
+      if (paused !== undefined) {
+        if (paused) {
+          renderLoop.pause();
+        } else {
+          renderLoop.resume();
+        }
+      }
+      return renderLoop.getState();
+    },
+    getRenderLoopState: () => renderLoop.getState(),
+
+    // 显示/隐藏模型: { names: string | string[] }
+    showModels: ({ names }) => setModelsVisible(names, true),
+    hideModels: ({ names }) => setModelsVisible(names, false),
+  });
+
+  messageBridge.init(config.messageApi);
+}
+
+/**
+ * 设置渲染循环：按优先级注册每帧更新，更新完成后经过后处理管线渲染
+ * 按需渲染模式下，回调返回 true（相机飞行、灯光过渡、动画播放、描边脉冲）时继续渲染，
+ * 相机控制器变化、页面输入、宿主页面命令、加载进度和场景 dirty 事件时请求渲染
+ */
+function setupRenderLoop() {
+  const { groundEffect: groundMode, ...loopOptions } = config.renderLoop || {};
+  renderLoop.init({
+    ...loopOptions,
+    render: () => {
+      const renderer = sceneManager.getRenderer();
+      const camera = cameraManager.getCamera();
+      if (renderer && camera) {
+        postProcessingManager.render();
+        loadingOverlay.onFrameRendered();
+      }
+    },
+  });
+
+  // 更新控制器和相机飞行
+  renderLoop.add("camera", () => cameraManager.update(), { priority: 0 });
+  // 更新灯光预设过渡
+  renderLoop.add("lighting", () => lightingManager.update(), { priority: 10 });
+  // 处理指针悬停检测
+  renderLoop.add("interaction", () => interactionManager.update(), {
+    priority: 20,
+  });
+  // 更新模型动画（暂停时间后不再请求渲染）
+  renderLoop.add(
+    "animation",
+    (delta, elapsed, loop) => animationManager.update(delta) && !loop.isPaused(),
+    { priority: 30, fixed: true }
+  );
+  renderLoop.add("animationProgress", () => animationProgress.update(), {
+    priority: 50,
+  });
+  // 选中描边的脉冲效果低频刷新
+  renderLoop.add("postProcessing", () => postProcessingManager.isAnimating(), {
+    priority: 60,
+    throttle: true,
+  });
+
+  // 按需渲染的触发条件
+  const invalidate = () => renderLoop.invalidate();
+  cameraManager.getControls().addEventListener("change", invalidate);
+  sceneManager.addEventListener("dirty", invalidate);
+  // 单击选中在双击间隔过后才处理，不伴随输入事件
+  interactionManager.addEventListener("select", invalidate);
+  ["progress", "complete", "error"].forEach((type) =>
+    progressTracker.addEventListener(type, invalidate)
+  );
+  // 悬停高亮、层级面板、动画进度条等页面交互和宿主页面命令都可能修改场景
+  ["pointerdown", "pointermove", "pointerup", "wheel", "keydown", "input"].forEach(
+    (type) => window.addEventListener(type, invalidate, { passive: true })
+  );
+  window.addEventListener("message", invalidate);
+}
+
 /**
  * 主函数
  */
@@ -272,8 +983,12 @@ function main() {
   // 设置事件监听器
   setupEventListeners(renderer);
 
-  // 开始动画循环
-  animate();
+  // 设置宿主页面通信
+  setupMessageBridge();
+
+  // 开始渲染循环
+  setupRenderLoop();
+  renderLoop.start();
 }
 
 // 启动应用
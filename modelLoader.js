@@ -3,8 +3,51 @@ import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
 import { modelPaths, modelNames } from "./src/assets/modelList.js";
 import config from "./src/assets/config.js";
+import { getModelPlacement } from "./src/assets/modelConfig.js";
 
-export function loadModel(scene, modelIndex = 0) {
+// 按名称缓存的模型父级分组
+const modelGroups = new Map();
+
+// 所有模型共享的加载器实例（DRACO 解码器只初始化一次）
+let sharedGLTFLoader = null;
+let sharedDRACOLoader = null;
+
+/**
+ * 获取共享的 GLTFLoader（首次调用时创建并绑定 DRACOLoader）
+ * @returns {GLTFLoader} 共享的 GLTF 加载器
+ */
+export function getSharedGLTFLoader() {
+  if (!sharedGLTFLoader) {
+    const { decoderPath = "./draco/" } = config.modelLoading || {};
+
+    sharedDRACOLoader = new DRACOLoader();
+    sharedDRACOLoader.setDecoderPath(decoderPath);
+
+    sharedGLTFLoader = new GLTFLoader();
+    sharedGLTFLoader.setDRACOLoader(sharedDRACOLoader);
+  }
+  return sharedGLTFLoader;
+}
+
+/**
+ * 释放共享的加载器及 DRACO 解码器 Worker
+ */
+export function disposeModelLoader() {
+  if (sharedDRACOLoader) {
+    sharedDRACOLoader.dispose();
+  }
+  sharedDRACOLoader = null;
+  sharedGLTFLoader = null;
+}
+
+/**
+ * 加载单个模型
+ * @param {THREE.Scene} scene - 场景对象
+ * @param {number} modelIndex - 模型索引（modelList.js 中的顺序）
+ * @param {Function} onProgress - 加载进度回调 (loaded, total) => void，总大小未知时 total 为 0
+ * @returns {Promise<Object>} 模型信息
+ */
+export function loadModel(scene, modelIndex = 0, onProgress = null) {
   return new Promise((resolve, reject) => {
     // 检查模型索引是否有效
     if (modelIndex < 0 || modelIndex >= modelPaths.length) {
@@ -16,14 +59,8 @@ export function loadModel(scene, modelIndex = 0) {
       return;
     }
 
-    const loader = new GLTFLoader();
-
-    // 创建 DRACOLoader 实例
-    const dracoLoader = new DRACOLoader();
-    dracoLoader.setDecoderPath("./draco/");
-
-    // 将 DRACOLoader 实例设置给 GLTFLoader
-    loader.setDRACOLoader(dracoLoader);
+    // 使用共享的加载器，避免为每个模型重复创建 DRACO 解码器
+    const loader = getSharedGLTFLoader();
 
     const modelPath = modelPaths[modelIndex];
     const modelName = modelNames[modelIndex];
@@ -79,7 +116,10 @@ export function loadModel(scene, modelIndex = 0) {
         });
       },
       function (xhr) {
-        console.log((xhr.loaded / xhr.total) * 100 + "% loaded");
+        const total = xhr.lengthComputable ? xhr.total : 0;
+        if (onProgress) {
+          onProgress(xhr.loaded, total);
+        }
       },
       function (error) {
         console.error("加载模型时出错:", error);
@@ -89,11 +129,220 @@ export function loadModel(scene, modelIndex = 0) {
   });
 }
 
-// 新增：加载所有模型的函数
-export function loadAllModels(scene) {
-  const loadPromises = modelPaths.map((path, index) => loadModel(scene, index));
+/**
+ * 以限定并发数执行任务队列，语义与 Promise.allSettled 一致
+ * @param {Array<Function>} tasks - 返回 Promise 的任务函数数组（按优先级排序）
+ * @param {number} concurrency - 最大并发数
+ * @returns {Promise<Array>} 与 tasks 顺序一致的结果数组
+ */
+function runQueue(tasks, concurrency) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < tasks.length) {
+      const taskIndex = nextIndex++;
+      try {
+        results[taskIndex] = {
+          status: "fulfilled",
+          value: await tasks[taskIndex](),
+        };
+      } catch (reason) {
+        results[taskIndex] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+  const workers = Array.from({ length: workerCount }, worker);
 
-  return Promise.all(loadPromises);
+  return Promise.all(workers).then(() => results);
+}
+
+/**
+ * 加载所有模型
+ * 控制中心模型（config.defaultCameraPosition.name）优先加载，其余按列表顺序排队；
+ * 单个模型加载失败不会影响其他模型，失败信息按模型逐个上报
+ * @param {THREE.Scene} scene - 场景对象
+ * @param {Object} options - 加载选项
+ * @param {number} options.concurrency - 最大并发数，默认读取 config.modelLoading.concurrency
+ * @param {Function} options.onModelLoaded - 单个模型加载成功回调 (modelInfo) => void
+ * @param {Function} options.onModelError - 单个模型加载失败回调 ({ modelName, modelIndex, modelPath, error }) => void
+ * @param {ProgressTracker} options.progressTracker - 加载进度追踪器（可选），每个模型注册为 "model:<模型名称>" 任务
+ * @returns {Promise<Array>} 加载成功的模型信息数组（按模型索引排序）
+ */
+export function loadAllModels(scene, options = {}) {
+  const {
+    concurrency = (config.modelLoading && config.modelLoading.concurrency) || 2,
+    onModelLoaded = null,
+    onModelError = null,
+    progressTracker = null,
+  } = options;
+
+  // 控制中心模型排在队列最前面
+  const controlCenterName = config.defaultCameraPosition.name;
+  const queue = modelPaths
+    .map((path, index) => index)
+    .sort(
+      (a, b) =>
+        (modelNames[b] === controlCenterName) -
+        (modelNames[a] === controlCenterName)
+    );
+
+  // 预先注册所有模型任务，保证总体进度不会因后续任务加入而回退
+  const taskId = (modelIndex) => `model:${modelNames[modelIndex]}`;
+  if (progressTracker) {
+    queue.forEach((modelIndex) =>
+      progressTracker.register(taskId(modelIndex), { type: "model" })
+    );
+  }
+
+  const tasks = queue.map((modelIndex) => () =>
+    loadModel(scene, modelIndex, (loaded, total) => {
+      if (progressTracker) {
+        progressTracker.update(taskId(modelIndex), loaded, total);
+      }
+    }).then((modelInfo) => {
+      if (progressTracker) progressTracker.complete(taskId(modelIndex));
+      if (onModelLoaded) onModelLoaded(modelInfo);
+      return modelInfo;
+    })
+  );
+
+  return runQueue(tasks, concurrency).then((results) => {
+    const loadedModels = [];
+
+    results.forEach((result, queueIndex) => {
+      const modelIndex = queue[queueIndex];
+
+      if (result.status === "fulfilled") {
+        loadedModels.push(result.value);
+        return;
+      }
+
+      const failure = {
+        modelName: modelNames[modelIndex],
+        modelIndex,
+        modelPath: modelPaths[modelIndex],
+        error: result.reason,
+      };
+      console.error(`❌ 模型加载失败: ${failure.modelName}`, failure.error);
+      if (progressTracker) progressTracker.fail(taskId(modelIndex), failure.error);
+      if (onModelError) onModelError(failure);
+    });
+
+    console.log(
+      `模型加载完成: 成功 ${loadedModels.length} 个，失败 ${
+        results.length - loadedModels.length
+      } 个`
+    );
+
+    return loadedModels.sort((a, b) => a.modelIndex - b.modelIndex);
+  });
+}
+
+/**
+ * 获取（或创建）模型父级分组
+ * @param {THREE.Scene} scene - 场景对象
+ * @param {string} groupName - 分组名称
+ * @returns {THREE.Group} 分组对象
+ */
+function getModelGroup(scene, groupName) {
+  let group = modelGroups.get(groupName);
+  if (!group || group.parent !== scene) {
+    group = new THREE.Group();
+    group.name = groupName;
+    scene.add(group);
+    modelGroups.set(groupName, group);
+  }
+  return group;
+}
+
+/**
+ * 根据 modelConfig.js 中的配置摆放模型，并重新计算模型包围盒
+ * @param {THREE.Scene} scene - 场景对象
+ * @param {Object} modelInfo - loadModel 返回的模型信息
+ * @returns {Object} 更新后的模型信息
+ */
+export function applyModelPlacement(scene, modelInfo) {
+  const { model, modelName } = modelInfo;
+  const placement = getModelPlacement(modelName);
+  const { position, rotation, scale } = placement;
+
+  // 设置父级分组
+  if (placement.group) {
+    getModelGroup(scene, placement.group).add(model);
+  }
+
+  // 设置位置、旋转、缩放
+  model.position.set(position.x, position.y, position.z);
+  model.rotation.set(rotation.x, rotation.y, rotation.z);
+  if (typeof scale === "number") {
+    model.scale.setScalar(scale);
+  } else {
+    model.scale.set(scale.x ?? 1, scale.y ?? 1, scale.z ?? 1);
+  }
+  model.visible = placement.visible;
+
+  // 覆盖标准/物理材质的环境贴图强度
+  if (placement.envMapIntensity !== null) {
+    model.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      const materials = Array.isArray(child.material)
+        ? child.material
+        : [child.material];
+      materials.forEach((material) => {
+        if (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) {
+          // 记录覆盖值，环境贴图切换时由 SceneManager 重新绑定
+          material.userData.envMapIntensity = placement.envMapIntensity;
+          material.envMapIntensity = placement.envMapIntensity;
+          material.needsUpdate = true;
+        }
+      });
+    });
+  }
+
+  // 摆放后重新计算世界坐标下的包围盒
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+
+  modelInfo.boundingBox = box;
+  modelInfo.center = box.getCenter(new THREE.Vector3());
+  modelInfo.size = size;
+  modelInfo.radius = Math.max(size.x, size.y, size.z);
+  modelInfo.placement = placement;
+
+  return modelInfo;
+}
+
+/**
+ * 计算所有可见模型的合并包围盒
+ * @param {Array} loadedModels - 已加载（并摆放）的模型数组
+ * @returns {Object|null} 合并后的包围盒信息，没有可见模型时返回 null
+ */
+export function computeModelsBounds(loadedModels) {
+  const boundingBox = new THREE.Box3();
+
+  loadedModels.forEach(({ model, boundingBox: modelBox }) => {
+    if (model.visible && !modelBox.isEmpty()) {
+      boundingBox.union(modelBox);
+    }
+  });
+
+  if (boundingBox.isEmpty()) {
+    return null;
+  }
+
+  const center = boundingBox.getCenter(new THREE.Vector3());
+  const size = boundingBox.getSize(new THREE.Vector3());
+
+  return {
+    boundingBox,
+    center,
+    size,
+    radius: Math.max(size.x, size.y, size.z),
+  };
 }
 
 // 新增：获取可用模型信息的函数
@@ -109,17 +358,25 @@ export function getAvailableModels() {
 
 /**
  * 根据配置自动设置相机和控制器位置
+ * 取景使用所有已摆放模型的合并包围盒，控制中心模型只用于确认配置有效
  * @param {Object} cameraManager - 相机管理器实例
  * @param {Array} loadedModels - 已加载的模型数组
+ * @param {Object} bounds - 合并包围盒 { boundingBox, center, radius }，默认由 computeModelsBounds 计算
  * @returns {Object|null} 相机设置信息，如果设置失败返回 null
  */
-export function autoSetupCameraAndControls(cameraManager, loadedModels) {
+export function autoSetupCameraAndControls(
+  cameraManager,
+  loadedModels,
+  bounds = computeModelsBounds(loadedModels || [])
+) {
   if (!cameraManager || !loadedModels || loadedModels.length === 0) {
     console.warn("相机管理器或模型数据不可用");
     return null;
   }
 
   const cameraConfig = config.defaultCameraPosition;
+  // 初始视角飞行时长（毫秒），为 0 时直接跳转
+  const { transitionDuration = 1500 } = cameraConfig;
 
   try {
     if (cameraConfig.type === "model") {
@@ -132,39 +389,49 @@ export function autoSetupCameraAndControls(cameraManager, loadedModels) {
       if (controlCenterModel) {
         console.log(`🎯 找到控制中心模型: ${controlCenterModel.modelName}`);
 
-        // 根据模型包围盒设置相机位置
-        const { boundingBox, center, radius } = controlCenterModel;
-        
-        // 使用配置的偏移量计算相机位置
+        // 根据所有模型的合并包围盒设置相机位置
+        if (!bounds) {
+          console.warn("⚠️ 没有可见模型的包围盒，无法取景");
+          return null;
+        }
+        const { boundingBox, center, radius } = bounds;
+
+        // 偏移量作为观察方向，距离根据相机视野和宽高比自动计算
         const offset = cameraConfig.offset || { x: 6, y: 2, z: 6 };
-        const cameraPosition = new THREE.Vector3(
-          center.x + (radius * offset.x),
-          center.y + (radius * offset.y),
-          center.z + (radius * offset.z)
-        );
+        const fitOptions = {
+          direction: offset,
+          padding: cameraConfig.padding ?? 0.1,
+          duration: transitionDuration,
+        };
+        const fit = cameraManager.computeFit(boundingBox, fitOptions);
+        if (!fit) {
+          console.warn("⚠️ 模型合并包围盒为空，无法取景");
+          return null;
+        }
+        const cameraPosition = fit.position;
 
         console.log(`🎯 相机位置计算:`);
-        console.log(`  - 模型中心: (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})`);
-        console.log(`  - 模型半径: ${radius.toFixed(2)}`);
-        console.log(`  - 偏移量配置: x=${offset.x}, y=${offset.y}, z=${offset.z}`);
+        console.log(`  - 场景中心: (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})`);
+        console.log(`  - 场景半径: ${radius.toFixed(2)}`);
+        console.log(`  - 观察方向配置: x=${offset.x}, y=${offset.y}, z=${offset.z}`);
+        console.log(`  - 取景距离: ${fit.distance.toFixed(2)}`);
         console.log(`  - 计算后的相机位置: (${cameraPosition.x.toFixed(2)}, ${cameraPosition.y.toFixed(2)}, ${cameraPosition.z.toFixed(2)})`);
 
-        // 设置相机位置
-        cameraManager.setPosition(cameraPosition);
-        cameraManager.setTarget(center);
-        
-        // 更新相机参数，确保近远平面合适
-        const distance = Math.max(offset.x, offset.y, offset.z) * radius;
-        cameraManager.getCamera().near = distance * 0.01;
-        cameraManager.getCamera().far = distance * 100;
-        cameraManager.getCamera().updateProjectionMatrix();
+        // 相机飞行到初始视角（同时设置合适的近远平面）
+        cameraManager.fitToBounds(boundingBox, fitOptions);
+        cameraManager.addViewpoint({
+          name: "default",
+          position: cameraPosition,
+          target: fit.target,
+        });
 
         return {
           type: "model",
           modelName: controlCenterModel.modelName,
-          center: center,
+          center: fit.target,
           radius: radius,
           offset: offset,
+          distance: fit.distance,
           cameraPosition: cameraPosition,
           success: true,
         };
@@ -187,9 +454,17 @@ export function autoSetupCameraAndControls(cameraManager, loadedModels) {
           cameraConfig.lookAt.z || 0
         );
 
-        // 设置相机位置
-        cameraManager.setPosition(position);
-        cameraManager.setTarget(lookAt);
+        // 相机飞行到初始视角
+        cameraManager.flyTo({
+          position: position,
+          target: lookAt,
+          duration: transitionDuration,
+        });
+        cameraManager.addViewpoint({
+          name: "default",
+          position: position,
+          target: lookAt,
+        });
 
         console.log("🎯 相机位置已根据固定配置设置");
 
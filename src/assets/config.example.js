@@ -11,19 +11,126 @@ const config = {
     // 相机将根据该模型的包围盒中心点和半径自动设置位置
     name: "structure", // 使用 "structure" 模型作为控制中心
     
-    // 当 type 为 "model" 时，相机位置偏移量（相对于模型包围盒中心）
-    // 偏移量 = 模型包围盒半径 * 变量
+    // 当 type 为 "model" 时，相机观察方向（从模型包围盒中心指向相机）
+    // 只使用方向，相机距离根据视野和屏幕宽高比自动计算，保证模型完整显示
     offset: {
-      x: 6,  // 相机X位置 = 模型中心X + (模型半径 * 6)
-      y: 2,  // 相机Y位置 = 模型中心Y + (模型半径 * 2)
-      z: 6,  // 相机Z位置 = 模型中心Z + (模型半径 * 6)
+      x: 6,
+      y: 2,
+      z: 6,
     },
 
+    // 当 type 为 "model" 时，取景留白比例（0.1 表示四周各留出 10%）
+    padding: 0.1,
+
+    // 初始视角的相机飞行时长（毫秒），为 0 时直接跳转
+    transitionDuration: 1500,
+
     // 当 type 为 "position" 时，使用以下配置（取消注释并修改）
     // type: "position",
     // position: { x: 0, y: 14, z: 24 },    // 相机位置
     // lookAt: { x: 0, y: 0, z: 0 },        // 相机朝向点
   },
+
+  // 预设视角，可通过 cameraManager.recallViewpoint(name) 飞行到对应视角
+  // 点击画布时控制台会输出当前视角的配置，可直接复制到此处
+  // 模型加载完成后会自动添加名为 "default" 的初始视角
+  viewpoints: [
+    {
+      name: "front",
+      position: { x: 0, y: 3, z: 12 },
+      target: { x: 0, y: 1, z: 0 },
+      fov: 75,
+    },
+    {
+      name: "top",
+      position: { x: 0, y: 20, z: 0.01 },
+      target: { x: 0, y: 0, z: 0 },
+      fov: 75,
+    },
+  ],
+
+  // 相机约束配置
+  // 值为 null 的字段在模型加载完成后根据所有模型的合并包围盒自动计算
+  cameraConstraints: {
+    enabled: true,
+    boundsScale: 3, // 自动计算的活动范围半径 = 模型半径 * 该倍数
+    boundingSphere: null, // 相机活动范围，如 { center: { x: 0, y: 0, z: 0 }, radius: 100 }
+    minAltitude: null, // 地面高度，相机和目标点不能低于该高度
+    minPolarAngle: 0, // 最小极角（弧度）
+    maxPolarAngle: Math.PI / 2, // 最大极角（弧度），防止转到地面以下
+    minAzimuthAngle: -Infinity, // 最小方位角（弧度）
+    maxAzimuthAngle: Infinity, // 最大方位角（弧度）
+    minDistance: null, // 相机到目标点的最小距离
+    maxDistance: null, // 相机到目标点的最大距离
+    panBounds: null, // 目标点平移范围，如 { min: { x, y, z }, max: { x, y, z } }
+  },
+
+  // 模型加载配置
+  modelLoading: {
+    concurrency: 2, // 同时加载的模型数量上限，控制中心模型始终最先加载
+    decoderPath: "./draco/", // DRACO 解码器路径（所有模型共享一个解码器实例）
+  },
+
+  // 模型拾取与高亮配置
+  interaction: {
+    enabled: true,
+    // 可选中的节点名称（字符串精确匹配或正则），为空时取命中网格向上最近的具名节点
+    selectableNames: [],
+    dragThreshold: 5, // 按下到抬起移动超过该像素数时视为拖拽，不触发点击
+    dblClickInterval: 300, // 右键双击的最大间隔，以及单击等待双击的时长（毫秒）
+    // 双击部件时的聚焦飞行，右键双击返回 "default" 视角
+    focus: {
+      enabled: true,
+      padding: 0.3, // 取景留白比例
+      duration: 800, // 飞行时长（毫秒）
+    },
+    highlight: {
+      mode: "outline", // 'outline' 使用后处理描边，'emissive' 使用自发光着色
+      hoverColor: 0x2a6f8f, // 自发光模式下悬停颜色
+      selectColor: 0x1f9bd1, // 自发光模式下选中颜色
+      emissiveIntensity: 1,
+      hoverChannel: 0, // 描边模式下悬停使用的描边通道（样式见 postProcessingConfig.js）
+      selectChannel: 1, // 描边模式下选中使用的描边通道
+    },
+  },
+
+  // 模型层级面板配置
+  inspector: {
+    panelVisible: false, // 页面加载后是否展开层级面板
+    ghostOpacity: 0.15, // "透明其他" 模式下其他部件的不透明度系数
+    padding: 0.2, // "孤立" 模式取景留白比例
+    duration: 800, // "孤立" 模式相机飞行时长（毫秒）
+  },
+
+  // 动画时间线，可通过 animationManager.playTimeline 或宿主页面 playTimeline 命令按名称播放
+  // 步骤格式见 AnimationManager.playTimeline，如:
+  // openAndRun: [
+  //   { clip: "openDoor", clampWhenFinished: true },
+  //   { wait: 1 },
+  //   { clip: "rotateFan", loop: "repeat", crossFade: 0.5, duration: 5 },
+  // ],
+  animationTimelines: {},
+
+  // 渲染循环配置
+  renderLoop: {
+    timeScale: 1, // 时间缩放，影响模型动画和地面效果
+    fixedStep: 0, // 模型动画的固定时间步长（秒），为 0 时按帧更新
+    maxDelta: 0.1, // 单帧时间增量上限（秒）
+    // 按需渲染：只在相机移动、动画播放、过渡进行、窗口尺寸变化或场景变化时渲染，降低空闲时的 GPU 占用
+    onDemand: false,
+    idleFrameRate: 10, // 按需渲染时，低频刷新的效果（地面流光、描边脉冲）在空闲时的帧率，为 0 时不刷新
+    groundEffect: "throttle", // 地面流光在按需渲染时的刷新方式: 'continuous' 连续 | 'throttle' 低频 | 'static' 不主动刷新
+  },
+
+  // 宿主页面 postMessage 通信配置
+  messageApi: {
+    // 允许发送命令的来源，如 ["https://dashboard.example.com"]；为空时拒绝所有命令
+    // 填写 "*" 表示不校验来源，任何嵌入本页面的页面都能控制场景，仅用于本地调试
+    allowedOrigins: [],
+    // 出站事件（loaded、cameraChanged 等）的目标来源，为 null 时使用 allowedOrigins 中第一个具体来源
+    // 填写 "*" 会把事件发送给任意嵌入本页面的页面
+    targetOrigin: null,
+  },
 };
 
 export default config;
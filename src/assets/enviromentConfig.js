@@ -23,8 +23,27 @@ export const environmentPresets = {
     description: '使用 Three.js RoomEnvironment',
     intensity: 0.8,
     background: {
-      type: 'texture',
-      path: './sunny2.jpg'
+      type: 'color',
+      color: 0xf0f0f0
+    }
+  },
+
+  // 展示环境：RoomEnvironment 反射 + 渐变背景
+  studio: {
+    type: 'room',
+    enabled: true,
+    name: 'studio',
+    description: 'RoomEnvironment 配合渐变背景和 ACES 色调映射',
+    intensity: 0.8,
+    toneMapping: 'aces',
+    exposure: 1.0,
+    background: {
+      type: 'gradient',
+      topColor: 0x9bb7d4,
+      bottomColor: 0xf5f5f5
+    },
+    fog: {
+      type: 'exp2' // 颜色取渐变背景底部颜色，密度按模型半径计算
     }
   },
   
@@ -34,13 +53,36 @@ export const environmentPresets = {
     enabled: true,
     name: 'hdr',
     description: '使用 HDR 环境贴图',
-    hdrPath: './bg.hdr',
-    fallbackPath: './sunny2.hdr',
+    hdrPath: './hdr/venice_sunset_1k.hdr',
+    fallbackPath: './hdr/royal_esplanade_1k.hdr',
     intensity: 2.0,
-    exposure: 2.0,
+    toneMapping: 'aces',
+    exposure: 1.2,
     background: {
-      type: 'hdr',
-      path: './bg.hdr'
+      type: 'environment', // 使用模糊后的环境贴图作为背景
+      blurriness: 0.3
+    }
+  },
+  
+  // 程序化天空：Sky 着色器生成天空和环境贴图，太阳方向同步到主平行光
+  sky: {
+    type: 'sky',
+    enabled: true,
+    name: 'sky',
+    description: '程序化天空，可按时间调整太阳位置',
+    intensity: 1.0,
+    toneMapping: 'aces',
+    exposure: 0.5,
+    sky: {
+      elevation: 30, // 太阳高度角（度）
+      azimuth: 180, // 太阳方位角（度）
+      turbidity: 10, // 大气浑浊度
+      rayleigh: 2, // 瑞利散射系数
+      mieCoefficient: 0.005,
+      mieDirectionalG: 0.7
+    },
+    fog: {
+      type: 'height' // 贴近地面的高度雾
     }
   },
   
@@ -54,10 +96,43 @@ export const environmentPresets = {
     background: {
       type: 'color',
       color: 0x87ceeb
+    },
+    fog: {
+      type: 'linear' // 与天空色一致的线性雾，距离按模型半径计算
     }
   }
 };
 
+/**
+ * 环境贴图加载配置
+ */
+export const environmentLoaderConfig = {
+  ktx2TranscoderPath: './basis/', // KTX2 (Basis Universal) 转码器路径
+  // 立方体贴图目录下六个面的文件名，顺序为 +x, -x, +y, -y, +z, -z
+  cubemapFiles: ['px.jpg', 'nx.jpg', 'py.jpg', 'ny.jpg', 'pz.jpg', 'nz.jpg']
+};
+
+/**
+ * 根据文件扩展名识别环境贴图来源类型
+ * 以 "/" 结尾的目录或六个文件路径组成的数组视为立方体贴图
+ * @param {string|Array<string>} path - 环境贴图路径
+ * @returns {string|null} 'hdr' | 'exr' | 'ktx2' | 'cubemap'，无法识别时返回 null
+ */
+export function detectEnvironmentSource(path) {
+  if (Array.isArray(path)) {
+    return path.length === 6 ? 'cubemap' : null;
+  }
+  if (typeof path !== 'string' || !path) {
+    return null;
+  }
+  if (path.endsWith('/')) {
+    return 'cubemap';
+  }
+
+  const extension = path.split('?')[0].split('.').pop().toLowerCase();
+  return ['hdr', 'exr', 'ktx2'].includes(extension) ? extension : null;
+}
+
 /**
  * 默认环境配置
  */
@@ -67,8 +142,7 @@ export const defaultEnvironmentConfig = {
   intensity: 0.8,
   exposure: 1.0,
   background: {
-    type: 'texture',
-    path: './sunny2.jpg'
+    type: 'none'
   }
 };
 
@@ -77,11 +151,26 @@ export const defaultEnvironmentConfig = {
  * 当前项目启用的环境配置
  * 
  * 修改此配置来改变项目的默认环境设置：
- * - type: 'disabled' | 'room' | 'hdr' | 'default'
+ * - type: 'disabled' | 'room' | 'hdr' | 'exr' | 'ktx2' | 'cubemap' | 'sky' | 'default'
+ *   文件类环境（hdr/exr/ktx2/cubemap）按 hdrPath 的扩展名选择加载器，四者可互换
  * - enabled: true | false
  * - intensity: 环境强度 (0-10)
- * - exposure: 曝光值 (0-10)
- * - background: 背景配置
+ * - toneMapping: 色调映射 'none' | 'linear' | 'reinhard' | 'cineon' | 'aces' | 'agx' | 'neutral'（可选）
+ * - exposure: 曝光值 (0-10)，作用于 renderer.toneMappingExposure
+ * - background: 背景配置，独立于环境贴图
+ *   - { type: 'none' }
+ *   - { type: 'color', color }
+ *   - { type: 'gradient', topColor, bottomColor }
+ *   - { type: 'texture', path, mapping? }  mapping: 'equirectangular'（默认）| 'screen'
+ *   - { type: 'hdr', path }                 与环境贴图分开加载的 HDR 背景
+ *   - { type: 'environment' }               使用环境贴图作为背景
+ *   - { type: 'sky' }                       程序化天空（sky 环境的默认背景）
+ *   以上类型均可指定 blurriness (0-1) 和 intensity
+ * - fog: 雾效配置（可选，不指定时关闭雾效）
+ *   - type: 'linear' | 'exp2' | 'height'
+ *   - color: 雾效颜色，不指定时与背景颜色一致
+ *   - near / far: 线性雾距离；density: 指数雾密度；height / falloff: 高度雾基准高度和衰减高度
+ *   距离、密度和高度不指定时按模型包围盒自动计算
  */
 export const projectEnvironmentConfig = {
   type: "hdr", // 环境类型：disabled=禁用, room=RoomEnvironment, hdr=HDR, default=默认
@@ -92,8 +181,9 @@ export const projectEnvironmentConfig = {
   fallbackPath: "./bg.jpg", // 备用文件路径
   intensity: 1, // 环境强度
   exposure: 1.0, // 曝光值
+  // fog: { type: "linear" }, // 雾效配置（可选）：linear=线性, exp2=指数, height=高度雾
   background: {
-    type: "hdr", // 背景类型：none=无, texture=纹理, hdr=HDR, color=纯色
+    type: "hdr", // 背景类型：none=无, color=纯色, gradient=渐变, texture=纹理, hdr=HDR, environment=环境贴图
     path: "./hdr/bg.hdr", // 背景文件路径
   },
 };
@@ -132,13 +222,48 @@ export function validateEnvironmentConfig(config) {
     errors.push('环境类型不能为空');
   }
   
-  const validTypes = ['room', 'hdr', 'default', 'none'];
+  const fileTypes = ['hdr', 'exr', 'ktx2', 'cubemap'];
+  const validTypes = ['room', ...fileTypes, 'sky', 'default', 'none'];
   if (config.type && !validTypes.includes(config.type)) {
     errors.push(`无效的环境类型: ${config.type}，支持的类型: ${validTypes.join(', ')}`);
   }
   
-  if (config.type === 'hdr' && !config.hdrPath) {
-    errors.push('HDR 环境需要指定 hdrPath');
+  if (fileTypes.includes(config.type)) {
+    if (!config.hdrPath) {
+      errors.push(`${config.type} 环境需要指定 hdrPath`);
+    } else if (!detectEnvironmentSource(config.hdrPath)) {
+      errors.push(`无法识别的环境贴图格式: ${config.hdrPath}，支持 .hdr、.exr、.ktx2 和立方体贴图目录`);
+    }
+  }
+  
+  if (config.sky) {
+    const { elevation, turbidity, rayleigh } = config.sky;
+    if (elevation !== undefined && (elevation < -90 || elevation > 90)) {
+      errors.push('太阳高度角应在 -90 到 90 度之间');
+    }
+    if (turbidity !== undefined && (turbidity < 0 || turbidity > 20)) {
+      errors.push('大气浑浊度应在 0-20 之间');
+    }
+    if (rayleigh !== undefined && (rayleigh < 0 || rayleigh > 4)) {
+      errors.push('瑞利散射系数应在 0-4 之间');
+    }
+  }
+  
+  if (config.fog) {
+    const { type, near, far, density, falloff } = config.fog;
+    const validFogTypes = ['linear', 'exp2', 'height'];
+    if (type && !validFogTypes.includes(type)) {
+      errors.push(`无效的雾效类型: ${type}，支持的类型: ${validFogTypes.join(', ')}`);
+    }
+    if (near != null && far != null && near >= far) {
+      errors.push('雾效 near 应小于 far');
+    }
+    if (density != null && density < 0) {
+      errors.push('雾效密度不能为负数');
+    }
+    if (falloff != null && falloff <= 0) {
+      errors.push('高度雾衰减高度应大于 0');
+    }
   }
   
   if (config.intensity !== undefined && (config.intensity < 0 || config.intensity > 10)) {
@@ -149,6 +274,28 @@ export function validateEnvironmentConfig(config) {
     errors.push('曝光值应在 0-10 之间');
   }
   
+  const validToneMappings = ['none', 'linear', 'reinhard', 'cineon', 'aces', 'agx', 'neutral'];
+  if (config.toneMapping !== undefined && !validToneMappings.includes(config.toneMapping)) {
+    errors.push(`无效的色调映射: ${config.toneMapping}，支持的类型: ${validToneMappings.join(', ')}`);
+  }
+  
+  if (config.background) {
+    const { type, path, blurriness } = config.background;
+    const validBackgroundTypes = ['none', 'color', 'gradient', 'texture', 'hdr', 'environment', 'sky'];
+    if (type && !validBackgroundTypes.includes(type)) {
+      errors.push(`无效的背景类型: ${type}，支持的类型: ${validBackgroundTypes.join(', ')}`);
+    }
+    if ((type === 'texture' || type === 'hdr') && !path) {
+      errors.push(`${type} 背景需要指定 path`);
+    }
+    if (type === 'hdr' && path && !detectEnvironmentSource(path)) {
+      errors.push(`无法识别的背景贴图格式: ${path}`);
+    }
+    if (blurriness !== undefined && (blurriness < 0 || blurriness > 1)) {
+      errors.push('背景模糊度应在 0-1 之间');
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -749,6 +749,11 @@ string} name
         // 设置渲染顺序，确保发光效果在最后渲染
         child.renderOrder = 1000;
 
+        // 加入选择性辉光层
+        if (this.postprocessing) {
+          this.postprocessing.addBloom(child);
+        }
+
         // 保存材质引用以便后续动画更新
         if (!this.glowMaterials) {
           this.glowMaterials = [];
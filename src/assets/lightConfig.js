@@ -115,6 +115,28 @@ export const lightConfig = [
     intensity: 0.3,
     enabled: false,
   },
+
+  // 矩形区域光配置（仅对标准/物理材质生效，不投射阴影）
+  {
+    type: "rectArea",
+    name: "panel",
+    position: { x: 0, y: 6, z: 4 },
+    target: { x: 0, y: 0, z: 0 }, // 发光面朝向的目标点
+    color: 0xffffff,
+    intensity: 3,
+    width: 8,
+    height: 2,
+    enabled: false,
+  },
+
+  // 光照探针配置（由当前 scene.environment 生成，环境变化后自动更新）
+  {
+    type: "lightProbe",
+    name: "envProbe",
+    intensity: 1,
+    resolution: 32, // 采样立方体贴图尺寸
+    enabled: false,
+  },
 ];
 
 /**
@@ -202,7 +224,13 @@ export function getAdjustedLightConfig(modelCenter, modelRadius, sceneOffset = n
     return acc;
   }, {});
 
+  // 不随模型位置调整的灯光（如区域光、光照探针）保持静态配置
+  const adjustedNames = ['ambient', 'main', 'fill', 'back', 'point1', 'spot1', 'hemisphere'];
+  const staticLights = lightConfig.filter(light => !adjustedNames.includes(light.name));
+
   return [
+    ...staticLights,
+
     // 环境光配置
     {
       type: 'ambient',
@@ -354,3 +382,226 @@ export function getAdjustedLightConfig(modelCenter, modelRadius, sceneOffset = n
     }
   ];
 }
+
+/**
+ * 灯光场景预设（室内 / 户外 / 夜景）
+ * 各预设使用同一套灯光名称，切换时同名灯光原地渐变强度和颜色
+ *
+ * position 为未提供模型包围信息时使用的绝对位置；
+ * offset 为相对模型中心的偏移，单位为灯光距离（模型半径 × 3），与 getAdjustedLightConfig 的摆放方式一致；
+ * range 为点光源/聚光灯照射距离及阴影远平面，单位同 offset
+ */
+export const lightingPresets = {
+  // 室内：暖色窗户光 + 顶部吊灯
+  indoor: {
+    label: "室内",
+    lights: [
+      {
+        type: "ambient",
+        name: "ambient",
+        color: 0x404040,
+        intensity: 0.3,
+        enabled: true,
+      },
+      {
+        type: "directional",
+        name: "main",
+        position: { x: 10, y: 5, z: 0 },
+        offset: { x: 1, y: 0.5, z: 0 },
+        color: 0xffeedd,
+        intensity: 0.8,
+        enabled: true,
+        castShadow: true,
+        shadow: { mapSize: 2048, bias: -0.001, normalBias: 0.02 },
+      },
+      {
+        type: "directional",
+        name: "fill",
+        position: { x: -5, y: 5, z: 5 },
+        offset: { x: -0.5, y: 0.5, z: 0.5 },
+        color: 0xffffff,
+        intensity: 0.2,
+        enabled: true,
+        castShadow: false,
+      },
+      {
+        type: "point",
+        name: "point1",
+        position: { x: 0, y: 8, z: 0 },
+        offset: { x: 0, y: 0.8, z: 0 },
+        range: 1.5,
+        color: 0xffffff,
+        intensity: 0.6,
+        distance: 15,
+        decay: 1,
+        enabled: true,
+        castShadow: true,
+        shadow: { mapSize: 1024, near: 0.1, bias: -0.001, normalBias: 0.02 },
+      },
+      { type: "hemisphere", name: "hemisphere", intensity: 0, enabled: false },
+      { type: "spot", name: "spot1", intensity: 0, enabled: false },
+    ],
+  },
+
+  // 户外：天空半球光 + 太阳光
+  outdoor: {
+    label: "户外",
+    lights: [
+      {
+        type: "ambient",
+        name: "ambient",
+        color: 0xffffff,
+        intensity: 0.2,
+        enabled: true,
+      },
+      {
+        type: "hemisphere",
+        name: "hemisphere",
+        position: { x: 0, y: 50, z: 0 },
+        offset: { x: 0, y: 1, z: 0 },
+        skyColor: 0x87ceeb,
+        groundColor: 0x8b4513,
+        intensity: 0.6,
+        enabled: true,
+      },
+      {
+        type: "directional",
+        name: "main",
+        position: { x: 20, y: 30, z: 20 },
+        offset: { x: 1, y: 1, z: 1 },
+        color: 0xffeedd,
+        intensity: 1.2,
+        enabled: true,
+        castShadow: true,
+        shadow: { mapSize: 4096, bias: -0.001, normalBias: 0.02 },
+      },
+      {
+        type: "directional",
+        name: "fill",
+        position: { x: -10, y: 10, z: 10 },
+        offset: { x: -0.5, y: 0.5, z: 0.5 },
+        color: 0xffffff,
+        intensity: 0.3,
+        enabled: true,
+        castShadow: false,
+      },
+      { type: "point", name: "point1", intensity: 0, enabled: false },
+      { type: "spot", name: "spot1", intensity: 0, enabled: false },
+    ],
+  },
+
+  // 夜景：冷色月光 + 暖色建筑照明
+  night: {
+    label: "夜景",
+    lights: [
+      {
+        type: "ambient",
+        name: "ambient",
+        color: 0x001122,
+        intensity: 0.1,
+        enabled: true,
+      },
+      {
+        type: "hemisphere",
+        name: "hemisphere",
+        position: { x: 0, y: 50, z: 0 },
+        offset: { x: 0, y: 1, z: 0 },
+        skyColor: 0x001122,
+        groundColor: 0x000011,
+        intensity: 0.2,
+        enabled: true,
+      },
+      {
+        type: "directional",
+        name: "main",
+        position: { x: -20, y: 40, z: 10 },
+        offset: { x: -0.5, y: 1, z: 0.25 },
+        color: 0x8899aa,
+        intensity: 0.3,
+        enabled: true,
+        castShadow: true,
+        shadow: { mapSize: 2048, bias: -0.001, normalBias: 0.02 },
+      },
+      {
+        type: "spot",
+        name: "spot1",
+        position: { x: 0, y: 20, z: 0 },
+        offset: { x: 0, y: 0.6, z: 0.3 },
+        range: 1.5,
+        color: 0xffaa00,
+        intensity: 0.8,
+        distance: 30,
+        angle: Math.PI / 6,
+        penumbra: 0.2,
+        decay: 1,
+        enabled: true,
+        castShadow: true,
+        shadow: { mapSize: 1024, near: 0.1, bias: -0.001, normalBias: 0.02 },
+      },
+      { type: "directional", name: "fill", intensity: 0, enabled: false },
+      { type: "point", name: "point1", intensity: 0, enabled: false },
+    ],
+  },
+};
+
+/**
+ * 获取灯光预设配置
+ * 提供模型中心和半径时，按 offset/range 将灯光摆放到模型周围并缩放阴影范围
+ * @param {string} name - 预设名称
+ * @param {THREE.Vector3} modelCenter - 模型中心点（可选）
+ * @param {number} modelRadius - 模型半径（可选）
+ * @param {THREE.Vector3} sceneOffset - 场景偏移量
+ * @returns {Array|null} 灯光配置数组，预设不存在时返回 null
+ */
+export function getLightingPreset(name, modelCenter = null, modelRadius = null, sceneOffset = new THREE.Vector3(0, 0, 0)) {
+  const preset = lightingPresets[name];
+  if (!preset) {
+    return null;
+  }
+
+  const relative = modelCenter && modelRadius > 0;
+  const lightDistance = relative ? modelRadius * 3 : 0;
+  const adjustedCenter = relative
+    ? { x: modelCenter.x + sceneOffset.x, y: modelCenter.y, z: modelCenter.z }
+    : { x: 0, y: 0, z: 0 };
+
+  return preset.lights.map(({ offset, range, ...light }) => {
+    const config = { ...light };
+    if (light.shadow) {
+      config.shadow = { ...light.shadow };
+    }
+    if (light.type !== "ambient" && light.type !== "hemisphere") {
+      config.target = { ...adjustedCenter };
+    }
+
+    if (!relative) {
+      return config;
+    }
+
+    if (offset) {
+      config.position = {
+        x: adjustedCenter.x + offset.x * lightDistance,
+        y: adjustedCenter.y + offset.y * lightDistance,
+        z: adjustedCenter.z + offset.z * lightDistance,
+      };
+    }
+    if (range !== undefined) {
+      config.distance = lightDistance * range;
+      if (config.shadow) {
+        config.shadow.far = lightDistance * range;
+      }
+    }
+    if (light.type === "directional" && config.shadow) {
+      Object.assign(config.shadow, {
+        near: 0.5,
+        far: lightDistance * 3,
+        left: -modelRadius * 2,
+        right: modelRadius * 2,
+        top: modelRadius * 2,
+        bottom: -modelRadius * 2,
+      });
+    }
+
+    return config;
+  });
+}
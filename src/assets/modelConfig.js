@@ -0,0 +1,53 @@
+/**
+ * 模型摆放配置文件
+ * 按 modelList.js 中的 modelNames 为每个模型定义位置、旋转、缩放、可见性、
+ * 父级分组以及材质环境贴图强度覆盖
+ */
+
+/**
+ * 模型摆放默认值
+ * 未在 modelPlacementConfig 中声明的字段使用以下默认值
+ */
+export const defaultModelPlacement = {
+  position: { x: 0, y: 0, z: 0 }, // 模型位移
+  rotation: { x: 0, y: 0, z: 0 }, // 模型旋转（弧度）
+  scale: 1, // 模型缩放：数字表示等比缩放，也可以是 { x, y, z }
+  visible: true, // 是否可见，隐藏的模型不参与场景包围盒计算
+  group: null, // 父级分组名称，为 null 时直接添加到场景
+  envMapIntensity: null, // 标准/物理材质的环境贴图强度，为 null 时不覆盖
+};
+
+/**
+ * 各模型摆放配置
+ * 键为模型名称（modelList.js 中的 modelNames）
+ */
+export const modelPlacementConfig = {
+  Line: {
+    position: { x: 4, y: 0, z: 0 }, // 物体向右偏移
+    envMapIntensity: 2.0,
+  },
+  equipment: {
+    position: { x: 0, y: 0, z: 0 },
+    envMapIntensity: 2.0,
+  },
+  structure: {
+    position: { x: 0, y: 0, z: 0 },
+    envMapIntensity: 2.0,
+  },
+};
+
+/**
+ * 获取指定模型的摆放配置（已合并默认值）
+ * @param {string} modelName - 模型名称
+ * @returns {Object} 模型摆放配置
+ */
+export function getModelPlacement(modelName) {
+  const placement = modelPlacementConfig[modelName] || {};
+
+  return {
+    ...defaultModelPlacement,
+    ...placement,
+    position: { ...defaultModelPlacement.position, ...placement.position },
+    rotation: { ...defaultModelPlacement.rotation, ...placement.rotation },
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * 后处理配置文件
+ * 定义后处理管线中各效果的开关和参数
+ */
+
+// 可选的抗锯齿方式（后处理启用后渲染到离屏缓冲，渲染器自带的 MSAA 不再生效）
+export const ANTIALIAS_MODES = ["none", "fxaa", "smaa"];
+
+export const postProcessingConfig = {
+  enabled: true, // 关闭后直接调用 renderer.render
+
+  // 选择性辉光：只有通过 addBloom 加入辉光层的物体发光
+  bloom: {
+    enabled: true,
+    strength: 1.2, // 辉光强度
+    radius: 0.4, // 辉光扩散半径 (0-1)
+    threshold: 0, // 亮度阈值，辉光层内低于该亮度的像素不发光
+    objectNames: [], // 模型加载完成后自动加入辉光层的物体名称
+  },
+
+  // 描边：通过 addOutline(object, channel) 添加，每个通道使用独立的 OutlinePass
+  outline: {
+    enabled: true,
+    edgeStrength: 3,
+    edgeGlow: 0.5,
+    edgeThickness: 1,
+    pulsePeriod: 0, // 闪烁周期（秒），0 表示不闪烁
+    visibleEdgeColor: 0x00e5ff, // 可见部分描边颜色
+    hiddenEdgeColor: 0x1a3b4d, // 被遮挡部分描边颜色
+    // 按通道覆盖上述样式
+    channels: {
+      1: {
+        visibleEdgeColor: 0xffc107,
+        hiddenEdgeColor: 0x4d3a00,
+        pulsePeriod: 2,
+      },
+    },
+  },
+
+  // 屏幕空间环境光遮蔽，开销较大默认关闭
+  ssao: {
+    enabled: false,
+    kernelRadius: 8, // 采样半径（世界单位）
+    minDistance: 0.005, // 最小深度差（归一化深度）
+    maxDistance: 0.1, // 最大深度差（归一化深度）
+  },
+
+  antialias: "fxaa", // 'none' | 'fxaa' | 'smaa'
+};
+
+/**
+ * 获取后处理配置（深拷贝，避免运行时修改影响默认配置）
+ * @param {Object} overrides - 按效果覆盖的配置
+ * @returns {Object} 后处理配置
+ */
+export function getPostProcessingConfig(overrides = {}) {
+  const config = {
+    ...postProcessingConfig,
+    bloom: { ...postProcessingConfig.bloom },
+    outline: {
+      ...postProcessingConfig.outline,
+      channels: { ...postProcessingConfig.outline.channels },
+    },
+    ssao: { ...postProcessingConfig.ssao },
+  };
+
+  Object.keys(overrides).forEach((key) => {
+    const value = overrides[key];
+    config[key] =
+      value && typeof value === "object" && !Array.isArray(value)
+        ? { ...config[key], ...value }
+        : value;
+  });
+
+  return config;
+}
+
+/**
+ * 验证后处理配置
+ * @param {Object} config - 后处理配置
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validatePostProcessingConfig(config = {}) {
+  const errors = [];
+
+  if (
+    config.antialias !== undefined &&
+    !ANTIALIAS_MODES.includes(config.antialias)
+  ) {
+    errors.push(
+      `无效的抗锯齿方式: ${config.antialias}，可选: ${ANTIALIAS_MODES.join(", ")}`
+    );
+  }
+
+  const numericFields = {
+    bloom: ["strength", "radius", "threshold"],
+    outline: ["edgeStrength", "edgeGlow", "edgeThickness", "pulsePeriod"],
+    ssao: ["kernelRadius", "minDistance", "maxDistance"],
+  };
+
+  Object.keys(numericFields).forEach((effect) => {
+    const params = config[effect];
+    if (params === undefined) return;
+    if (!params || typeof params !== "object") {
+      errors.push(`${effect} 配置必须为对象`);
+      return;
+    }
+    numericFields[effect].forEach((field) => {
+      const value = params[field];
+      if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+        errors.push(`${effect}.${field} 必须为非负数`);
+      }
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
@@ -1,50 +1,160 @@
 import * as THREE from "three";
 
+// 配置中的循环模式名称到 three.js 常量的映射
+const LOOP_MODES = {
+  once: THREE.LoopOnce,
+  repeat: THREE.LoopRepeat,
+  pingpong: THREE.LoopPingPong,
+};
+
 /**
  * 动画管理器
- * 负责管理模型的动画播放、暂停、重置等操作
+ * 负责管理模型的动画播放、暂停、重置等操作，支持按名称播放片段、淡入淡出和时间线顺序播放
+ * 每个模型的混合器按模型名称注册，片段 id 为 "模型名称/片段名称"；
+ * 按片段名称查找时可以只写片段名称（取第一个匹配的模型），或另外指定模型名称
+ * 派发事件: finished（片段播放结束，来自混合器，数据 { clip, model, id, action, direction }）
+ *          timelineFinished（时间线播放结束或被中断，数据 { completed }）
  */
-export class AnimationManager {
+export class AnimationManager extends THREE.EventDispatcher {
   constructor() {
-    this.mixer = null;
+    super();
+    // 模型名称 -> { mixer, actions }
+    this.mixers = new Map();
+    // 所有模型的动作
     this.animationActions = [];
+    // 片段 id（模型名称/片段名称） -> 动作
+    this.clipActions = new Map();
+    // 动作 -> { id, model, clip }
+    this.actionInfo = new Map();
     this.isPlaying = false;
-    this.clock = new THREE.Clock();
+    // 全局播放速度倍数，与各模型混合器的 timeScale 相乘
+    this.speed = 1;
+    // 淡出后待停止的动作 -> 剩余时间（秒）
+    this.pendingStops = new Map();
+    // 正在播放的时间线: { steps, index, elapsed, action, loop, resolve }
+    this.timeline = null;
+    // 拖动进度时的状态: { wasPlaying }
+    this.scrubbing = null;
+    this.onMixerFinished = this.handleMixerFinished.bind(this);
   }
 
   /**
-   * 设置动画混合器
+   * 注册模型的动画混合器，同名模型已注册时先移除
+   * @param {string} modelName - 模型名称
    * @param {THREE.AnimationMixer} mixer - 动画混合器
    * @param {Array} animations - 动画片段数组
    */
-  setMixer(mixer, animations = []) {
-    this.mixer = mixer;
-    this.animationActions = [];
+  addMixer(modelName, mixer, animations = []) {
+    if (this.mixers.has(modelName)) {
+      this.removeMixer(modelName);
+    }
+    if (!mixer) return;
 
     // 为每个动画片段创建动作
-    if (this.mixer && animations && animations.length > 0) {
-      animations.forEach((clip) => {
-        const action = this.mixer.clipAction(clip);
-        this.animationActions.push(action);
-      });
+    const actions = (animations || []).map((clip) => {
+      const action = mixer.clipAction(clip);
+      const id = `${modelName}/${clip.name}`;
+      this.clipActions.set(id, action);
+      this.actionInfo.set(action, { id, model: modelName, clip: clip.name });
+      return action;
+    });
 
-      this.isPlaying = false;
+    mixer.addEventListener("finished", this.onMixerFinished);
+    this.mixers.set(modelName, { mixer, actions });
+    this.animationActions.push(...actions);
+
+    if (actions.length > 0) {
       console.log(
-        `动画初始化完成，找到 ${animations.length} 个动画片段，默认停止播放`
+        `模型 ${modelName} 动画初始化完成，找到 ${actions.length} 个动画片段，默认停止播放`
       );
     }
   }
 
+  /**
+   * 移除模型的动画混合器并停止其动作
+   * @param {string} modelName - 模型名称
+   * @returns {boolean} 模型是否已注册
+   */
+  removeMixer(modelName) {
+    const entry = this.mixers.get(modelName);
+    if (!entry) return false;
+
+    const { mixer, actions } = entry;
+    if (this.timeline && actions.includes(this.timeline.action)) {
+      this.stopTimeline();
+    }
+    actions.forEach((action) => {
+      this.pendingStops.delete(action);
+      this.clipActions.delete(this.actionInfo.get(action).id);
+      this.actionInfo.delete(action);
+    });
+    mixer.removeEventListener("finished", this.onMixerFinished);
+    mixer.stopAllAction();
+
+    this.mixers.delete(modelName);
+    this.animationActions = this.animationActions.filter(
+      (action) => !actions.includes(action)
+    );
+    if (this.animationActions.length === 0) {
+      this.isPlaying = false;
+    }
+    return true;
+  }
+
+  /**
+   * 移除所有混合器
+   */
+  clearMixers() {
+    this.stopTimeline();
+    Array.from(this.mixers.keys()).forEach((modelName) =>
+      this.removeMixer(modelName)
+    );
+    this.pendingStops.clear();
+    this.isPlaying = false;
+  }
+
+  /**
+   * 设置唯一的动画混合器（替换所有已注册的混合器）
+   * @param {THREE.AnimationMixer} mixer - 动画混合器
+   * @param {Array} animations - 动画片段数组
+   * @param {string} modelName - 模型名称
+   */
+  setMixer(mixer, animations = [], modelName = "default") {
+    this.clearMixers();
+    this.addMixer(modelName, mixer, animations);
+  }
+
+  /**
+   * 获取已注册混合器的模型名称
+   * @returns {Array<string>} 模型名称
+   */
+  getModelNames() {
+    return Array.from(this.mixers.keys());
+  }
+
+  /**
+   * 获取模型的动作，不指定模型时返回所有动作
+   * @param {string} model - 模型名称（可选）
+   * @returns {Array<THREE.AnimationAction>} 动作数组
+   */
+  getModelActions(model) {
+    if (model === undefined) return this.animationActions;
+    const entry = this.mixers.get(model);
+    return entry ? entry.actions : [];
+  }
+
   /**
    * 播放所有动画
+   * @param {string} model - 只播放指定模型的动画（可选）
    */
-  play() {
-    if (this.mixer && this.animationActions.length > 0) {
-      this.animationActions.forEach((action) => {
+  play(model) {
+    const actions = this.getModelActions(model);
+    if (actions.length > 0) {
+      actions.forEach((action) => {
         action.play();
       });
       this.isPlaying = true;
-      console.log("动画开始播放");
+      console.log(model === undefined ? "动画开始播放" : `模型 ${model} 动画开始播放`);
       return true;
     } else {
       console.log("没有可播放的动画");
@@ -54,14 +164,18 @@ export class AnimationManager {
 
   /**
    * 暂停所有动画
+   * @param {string} model - 只暂停指定模型的动画（可选），其他模型继续播放
    */
-  pause() {
-    if (this.mixer && this.animationActions.length > 0) {
-      this.animationActions.forEach((action) => {
+  pause(model) {
+    const actions = this.getModelActions(model);
+    if (actions.length > 0) {
+      actions.forEach((action) => {
         action.paused = true;
       });
-      this.isPlaying = false;
-      console.log("动画已暂停");
+      if (model === undefined) {
+        this.isPlaying = false;
+      }
+      console.log(model === undefined ? "动画已暂停" : `模型 ${model} 动画已暂停`);
       return true;
     }
     return false;
@@ -69,14 +183,16 @@ export class AnimationManager {
 
   /**
    * 恢复所有动画
+   * @param {string} model - 只恢复指定模型的动画（可选）
    */
-  resume() {
-    if (this.mixer && this.animationActions.length > 0) {
-      this.animationActions.forEach((action) => {
+  resume(model) {
+    const actions = this.getModelActions(model);
+    if (actions.length > 0) {
+      actions.forEach((action) => {
         action.paused = false;
       });
       this.isPlaying = true;
-      console.log("动画已恢复");
+      console.log(model === undefined ? "动画已恢复" : `模型 ${model} 动画已恢复`);
       return true;
     }
     return false;
@@ -84,14 +200,20 @@ export class AnimationManager {
 
   /**
    * 停止所有动画
+   * @param {string} model - 只停止指定模型的动画（可选）
    */
-  stop() {
-    if (this.mixer && this.animationActions.length > 0) {
-      this.animationActions.forEach((action) => {
+  stop(model) {
+    const actions = this.getModelActions(model);
+    this.stopTimelineFor(actions);
+    if (actions.length > 0) {
+      actions.forEach((action) => {
+        this.pendingStops.delete(action);
         action.stop();
       });
-      this.isPlaying = false;
-      console.log("动画已停止");
+      if (model === undefined) {
+        this.isPlaying = false;
+      }
+      console.log(model === undefined ? "动画已停止" : `模型 ${model} 动画已停止`);
       return true;
     }
     return false;
@@ -99,20 +221,41 @@ export class AnimationManager {
 
   /**
    * 重置所有动画到初始状态
+   * @param {string} model - 只重置指定模型的动画（可选）
    */
-  reset() {
-    if (this.mixer && this.animationActions.length > 0) {
-      this.animationActions.forEach((action) => {
+  reset(model) {
+    const actions = this.getModelActions(model);
+    this.stopTimelineFor(actions);
+    if (actions.length > 0) {
+      actions.forEach((action) => {
+        this.pendingStops.delete(action);
         action.stop();
         action.reset();
       });
-      this.isPlaying = false;
-      console.log("动画已重置");
+      if (model === undefined) {
+        this.isPlaying = false;
+      }
+      console.log(model === undefined ? "动画已重置" : `模型 ${model} 动画已重置`);
       return true;
     }
     return false;
   }
 
+  /**
+   * 时间线当前片段属于这些动作时停止时间线
+   * @param {Array<THREE.AnimationAction>} actions - 动作数组
+   */
+  stopTimelineFor(actions) {
+    if (
+      this.timeline &&
+      (actions === this.animationActions ||
+        !this.timeline.action ||
+        actions.includes(this.timeline.action))
+    ) {
+      this.stopTimeline();
+    }
+  }
+
   /**
    * 切换播放/暂停状态
    */
@@ -127,19 +270,31 @@ export class AnimationManager {
   /**
    * 设置动画播放速度
    * @param {number} speed - 播放速度倍数
+   * @param {string} model - 只设置指定模型的速度（可选），与全局速度相乘
+   * @returns {boolean} 模型是否存在
    */
-  setSpeed(speed) {
-    if (this.mixer) {
-      this.mixer.timeScale = speed;
+  setSpeed(speed, model) {
+    if (model === undefined) {
+      this.speed = speed;
       console.log(`动画播放速度设置为: ${speed}x`);
+      return true;
     }
+
+    const entry = this.mixers.get(model);
+    if (!entry) return false;
+    entry.mixer.timeScale = speed;
+    console.log(`模型 ${model} 动画播放速度设置为: ${speed}x`);
+    return true;
   }
 
   /**
    * 获取动画播放速度
+   * @param {string} model - 模型名称（可选），不指定时返回全局速度
    */
-  getSpeed() {
-    return this.mixer ? this.mixer.timeScale : 1;
+  getSpeed(model) {
+    if (model === undefined) return this.speed;
+    const entry = this.mixers.get(model);
+    return entry ? entry.mixer.timeScale : 1;
   }
 
   /**
@@ -154,16 +309,471 @@ export class AnimationManager {
     }
   }
 
+  /**
+   * 获取片段名称
+   * @param {string} model - 模型名称（可选）
+   * @returns {Array<string>} 指定模型时为该模型的片段名称，否则为所有片段 id（模型名称/片段名称）
+   */
+  getClipNames(model) {
+    if (model !== undefined) {
+      return this.getModelActions(model).map(
+        (action) => this.actionInfo.get(action).clip
+      );
+    }
+    return Array.from(this.clipActions.keys());
+  }
+
+  /**
+   * 获取片段对应的动作
+   * @param {string} name - 片段 id（模型名称/片段名称）或片段名称
+   * @param {string} model - 模型名称（可选），不指定时按片段名称取第一个匹配的模型
+   * @returns {THREE.AnimationAction|null} 动作
+   */
+  getClipAction(name, model) {
+    if (model !== undefined) {
+      return this.clipActions.get(`${model}/${name}`) || null;
+    }
+    return (
+      this.clipActions.get(name) ||
+      this.animationActions.find(
+        (action) => this.actionInfo.get(action).clip === name
+      ) ||
+      null
+    );
+  }
+
+  /**
+   * 按名称播放片段
+   * @param {string} name - 片段 id 或片段名称
+   * @param {Object} options - 播放配置
+   * @param {string} options.model - 片段所属模型名称
+   * @param {string} options.loop - 循环模式: 'once' | 'repeat' | 'pingpong'
+   * @param {number} options.repetitions - 循环次数，默认无限
+   * @param {boolean} options.clampWhenFinished - 播放结束后是否停留在最后一帧
+   * @param {number} options.fadeIn - 淡入时长（秒）
+   * @param {number} options.timeScale - 片段播放速度倍数
+   * @param {number} options.weight - 片段权重 (0-1)
+   * @param {boolean} options.reset - 是否从头播放，为 false 时从当前位置继续
+   * @returns {THREE.AnimationAction|null} 动作，片段不存在时返回 null
+   */
+  playClip(name, options = {}) {
+    const action = this.getClipAction(name, options.model);
+    if (!action) {
+      console.warn(`动画片段 ${name} 不存在`);
+      return null;
+    }
+    return this.playAction(action, options);
+  }
+
+  /**
+   * 播放动作
+   * @param {THREE.AnimationAction} action - 动作
+   * @param {Object} options - 同 playClip
+   * @returns {THREE.AnimationAction} 动作
+   */
+  playAction(action, options = {}) {
+    this.configureAction(action, options);
+    const { fadeIn = 0 } = options;
+    if (fadeIn > 0) {
+      action.fadeIn(fadeIn);
+    }
+    action.play();
+    this.isPlaying = true;
+    return action;
+  }
+
+  /**
+   * 设置动作的循环模式、速度和权重
+   * @param {THREE.AnimationAction} action - 动作
+   * @param {Object} options - 同 playClip
+   */
+  configureAction(action, options = {}) {
+    const {
+      loop = "repeat",
+      repetitions = Infinity,
+      clampWhenFinished = false,
+      timeScale = 1,
+      weight = 1,
+      reset = true,
+    } = options;
+
+    this.pendingStops.delete(action);
+    if (reset) {
+      action.reset();
+    }
+    action.setLoop(LOOP_MODES[loop] ?? THREE.LoopRepeat, repetitions);
+    action.clampWhenFinished = clampWhenFinished;
+    action.paused = false;
+    action.enabled = true;
+    action.setEffectiveTimeScale(timeScale);
+    action.setEffectiveWeight(weight);
+  }
+
+  /**
+   * 从一个片段淡入淡出过渡到另一个片段，起始片段未播放时直接淡入目标片段
+   * 两个片段属于不同模型时各自淡入淡出
+   * @param {string} from - 起始片段 id 或片段名称
+   * @param {string} to - 目标片段 id 或片段名称
+   * @param {number} duration - 过渡时长（秒）
+   * @param {Object} options - 目标片段的播放配置，同 playClip（options.model 同时用于查找两个片段）
+   * @returns {boolean} 是否成功
+   */
+  crossFade(from, to, duration = 0.5, options = {}) {
+    const toAction = this.getClipAction(to, options.model);
+    if (!toAction) {
+      console.warn(`动画片段 ${to} 不存在`);
+      return false;
+    }
+    const fromAction = this.getClipAction(from, options.model);
+    this.crossFadeActions(fromAction, toAction, duration, options);
+    return true;
+  }
+
+  /**
+   * 从一个动作过渡到另一个动作
+   * @param {THREE.AnimationAction|null} fromAction - 起始动作
+   * @param {THREE.AnimationAction} toAction - 目标动作
+   * @param {number} duration - 过渡时长（秒）
+   * @param {Object} options - 同 crossFade
+   */
+  crossFadeActions(fromAction, toAction, duration, options = {}) {
+    if (!fromAction || !fromAction.isRunning() || fromAction === toAction) {
+      this.playAction(toAction, { ...options, fadeIn: duration });
+      return;
+    }
+
+    this.configureAction(toAction, options);
+    toAction.play();
+    if (fromAction.getMixer() === toAction.getMixer()) {
+      fromAction.crossFadeTo(toAction, duration, false);
+    } else {
+      // 不同混合器的动作无法同步权重，分别淡出、淡入
+      fromAction.fadeOut(duration);
+      toAction.fadeIn(duration);
+    }
+    // 淡出完成后停止起始片段
+    this.pendingStops.set(fromAction, duration);
+    this.isPlaying = true;
+  }
+
+  /**
+   * 停止片段
+   * @param {string} name - 片段 id 或片段名称
+   * @param {Object} options - 配置选项
+   * @param {number} options.fadeOut - 淡出时长（秒），为 0 时立即停止
+   * @param {string} options.model - 片段所属模型名称
+   * @returns {boolean} 片段是否存在
+   */
+  stopClip(name, options = {}) {
+    const action = this.getClipAction(name, options.model);
+    if (!action) {
+      console.warn(`动画片段 ${name} 不存在`);
+      return false;
+    }
+
+    const { fadeOut = 0 } = options;
+    if (fadeOut > 0 && action.isRunning()) {
+      action.fadeOut(fadeOut);
+      this.pendingStops.set(action, fadeOut);
+    } else {
+      this.pendingStops.delete(action);
+      action.stop();
+    }
+    return true;
+  }
+
+  /**
+   * 按时间线顺序播放片段，新的时间线会中断正在播放的时间线
+   * 步骤: { clip, model, loop, repetitions, clampWhenFinished, fadeIn, timeScale, crossFade, duration } 或 { wait }
+   * - clip 为片段 id 或片段名称，model 指定片段所属模型
+   * - 片段默认只播放一次，播放结束后进入下一步；指定 duration（秒）时到时即进入下一步
+   * - crossFade（秒）表示从上一步的片段过渡到本步片段
+   * - wait（秒）表示等待一段时间
+   * @param {Array<Object>} steps - 时间线步骤
+   * @param {Object} options - 配置选项
+   * @param {boolean} options.loop - 是否循环播放整条时间线
+   * @returns {Promise<boolean>} 时间线播放完成时 resolve(true)，被中断时 resolve(false)
+   */
+  playTimeline(steps = [], options = {}) {
+    const { loop = false } = options;
+
+    this.stopTimeline();
+    const invalid = steps.find(
+      (step) =>
+        step.clip !== undefined && !this.getClipAction(step.clip, step.model)
+    );
+    if (steps.length === 0 || invalid) {
+      if (invalid) console.warn(`动画片段 ${invalid.clip} 不存在`);
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      this.timeline = { steps, index: -1, elapsed: 0, action: null, loop, resolve };
+      this.isPlaying = true;
+      this.nextTimelineStep();
+    });
+  }
+
+  /**
+   * 停止正在播放的时间线（已开始的片段保持当前状态）
+   */
+  stopTimeline() {
+    if (this.timeline) {
+      this.finishTimeline(false);
+    }
+  }
+
+  /**
+   * 是否正在播放时间线
+   */
+  isTimelinePlaying() {
+    return this.timeline !== null;
+  }
+
+  /**
+   * 结束时间线
+   * @param {boolean} completed - 是否正常完成
+   */
+  finishTimeline(completed) {
+    const { resolve } = this.timeline;
+    this.timeline = null;
+    resolve(completed);
+    this.dispatchEvent({ type: "timelineFinished", completed });
+  }
+
+  /**
+   * 进入时间线的下一步
+   */
+  nextTimelineStep() {
+    const timeline = this.timeline;
+    const previous = timeline.action;
+
+    timeline.index += 1;
+    if (timeline.index >= timeline.steps.length) {
+      if (!timeline.loop) {
+        this.finishTimeline(true);
+        return;
+      }
+      timeline.index = 0;
+    }
+
+    const step = timeline.steps[timeline.index];
+    timeline.elapsed = 0;
+    timeline.action = null;
+
+    if (step.clip === undefined) return;
+
+    const { clip, model, crossFade = 0, loop = "once", ...options } = step;
+    const playOptions = { ...options, loop };
+    const action = this.getClipAction(clip, model);
+    if (crossFade > 0 && previous) {
+      this.crossFadeActions(previous, action, crossFade, playOptions);
+    } else {
+      // 上一步按 duration 结束时片段可能仍在循环播放
+      if (previous && previous.isRunning() && previous !== action) {
+        previous.stop();
+      }
+      this.playAction(action, playOptions);
+    }
+    timeline.action = action;
+  }
+
+  /**
+   * 推进时间线中按时长结束的步骤
+   * 片段步骤按片段所属混合器的速度计时，等待步骤按全局速度计时
+   * @param {number} deltaTime - 乘以全局速度后的时间增量（秒）
+   */
+  updateTimeline(deltaTime) {
+    if (!this.timeline) return;
+
+    const { action } = this.timeline;
+    const step = this.timeline.steps[this.timeline.index];
+    const duration = step.clip === undefined ? step.wait || 0 : step.duration;
+    if (duration === undefined) return;
+
+    this.timeline.elapsed += action
+      ? deltaTime * action.getMixer().timeScale
+      : deltaTime;
+    if (this.timeline.elapsed >= duration) {
+      this.nextTimelineStep();
+    }
+  }
+
+  /**
+   * 停止淡出完成的动作
+   * @param {number} deltaTime - 乘以全局速度后的时间增量（秒）
+   */
+  updatePendingStops(deltaTime) {
+    this.pendingStops.forEach((remaining, action) => {
+      const mixerDelta = deltaTime * action.getMixer().timeScale;
+      if (remaining - mixerDelta <= 0) {
+        action.stop();
+        this.pendingStops.delete(action);
+      } else {
+        this.pendingStops.set(action, remaining - mixerDelta);
+      }
+    });
+  }
+
+  /**
+   * 混合器 finished 事件：转发为管理器事件，并推进时间线
+   * @param {Object} event - { action, direction }
+   */
+  handleMixerFinished({ action, direction }) {
+    const info = this.actionInfo.get(action);
+    if (!info) return;
+
+    this.dispatchEvent({
+      type: "finished",
+      clip: info.clip,
+      model: info.model,
+      id: info.id,
+      action,
+      direction,
+    });
+
+    if (this.timeline && this.timeline.action === action) {
+      const step = this.timeline.steps[this.timeline.index];
+      if (step.duration === undefined) {
+        this.nextTimelineStep();
+      }
+    }
+  }
+
+  /**
+   * 获取总时长：同时播放的片段中最长的片段时长（秒）
+   * @param {string} model - 只计算指定模型的片段（可选）
+   * @returns {number} 总时长
+   */
+  getDuration(model) {
+    return this.getModelActions(model).reduce(
+      (duration, action) => Math.max(duration, action.getClip().duration),
+      0
+    );
+  }
+
+  /**
+   * 获取进度定位作用的动作：指定片段时为该片段，否则为已调度的动作，都未调度时为所有动作
+   * @param {string} clip - 片段 id 或片段名称（可选）
+   * @param {string} model - 模型名称（可选），只定位该模型的动作
+   * @returns {Array<THREE.AnimationAction>} 动作数组
+   */
+  getSeekActions(clip, model) {
+    if (clip !== undefined) {
+      const action = this.getClipAction(clip, model);
+      return action ? [action] : [];
+    }
+    const actions = this.getModelActions(model);
+    const scheduled = actions.filter((action) => action.isScheduled());
+    return scheduled.length > 0 ? scheduled : actions;
+  }
+
+  /**
+   * 定位到指定时间并立即更新姿态；暂停或拖动进度时只计算姿态，不推进时间
+   * 超出片段时长的时间停留在片段末尾
+   * @param {number} seconds - 时间（秒）
+   * @param {Object} options - 配置选项
+   * @param {string} options.clip - 只定位指定片段
+   * @param {string} options.model - 只定位指定模型
+   * @returns {boolean} 是否有可定位的动作
+   */
+  seek(seconds, options = {}) {
+    const actions = this.getSeekActions(options.clip, options.model);
+    if (actions.length === 0) return false;
+
+    const paused = !this.isPlaying || this.scrubbing !== null;
+    actions.forEach((action) => {
+      const duration = action.getClip().duration;
+      this.pendingStops.delete(action);
+      // reset 清除播放结束状态（LoopOnce 结束后 enabled 为 false）
+      action.reset();
+      action.time = THREE.MathUtils.clamp(seconds, 0, duration);
+      action.paused = paused;
+      action.play();
+    });
+
+    // 时间增量为 0 时只计算当前时间的姿态
+    new Set(actions.map((action) => action.getMixer())).forEach((mixer) =>
+      mixer.update(0)
+    );
+    return true;
+  }
+
+  /**
+   * 按总时长的比例定位
+   * @param {number} progress - 进度 (0-1)
+   * @param {Object} options - 同 seek
+   * @returns {boolean} 是否有可定位的动作
+   */
+  seekNormalized(progress, options = {}) {
+    const actions = this.getSeekActions(options.clip, options.model);
+    const duration =
+      options.clip !== undefined && actions.length > 0
+        ? actions[0].getClip().duration
+        : this.getDuration(options.model);
+    return this.seek(THREE.MathUtils.clamp(progress, 0, 1) * duration, options);
+  }
+
+  /**
+   * 开始拖动进度：暂停播放，拖动期间 seek 只计算姿态
+   */
+  beginScrub() {
+    if (this.scrubbing) return;
+    this.scrubbing = { wasPlaying: this.isPlaying };
+    if (this.isPlaying) {
+      this.pause();
+    }
+  }
+
+  /**
+   * 结束拖动进度，拖动前正在播放时恢复播放
+   */
+  endScrub() {
+    if (!this.scrubbing) return;
+    const { wasPlaying } = this.scrubbing;
+    this.scrubbing = null;
+    if (wasPlaying) {
+      this.resume();
+    }
+  }
+
+  /**
+   * 是否正在拖动进度
+   */
+  isScrubbing() {
+    return this.scrubbing !== null;
+  }
+
+  /**
+   * 获取播放进度，以已调度动作中最长的片段为准
+   * @param {string} model - 只计算指定模型（可选）
+   * @returns {Object} { time, duration, progress }
+   */
+  getProgress(model) {
+    const actions = this.getSeekActions(undefined, model);
+    if (actions.length === 0) {
+      return { time: 0, duration: 0, progress: 0 };
+    }
+
+    const longest = actions.reduce((result, action) =>
+      action.getClip().duration > result.getClip().duration ? action : result
+    );
+    const duration = longest.getClip().duration;
+    const time = Math.min(longest.time, duration);
+    return { time, duration, progress: duration > 0 ? time / duration : 0 };
+  }
+
   /**
    * 获取动画状态信息
    */
   getAnimationInfo() {
-    if (!this.mixer || this.animationActions.length === 0) {
+    if (this.animationActions.length === 0) {
       return {
         hasAnimations: false,
         actionCount: 0,
         isPlaying: false,
-        speed: 1,
+        speed: this.speed,
+        models: [],
       };
     }
 
@@ -171,43 +781,66 @@ export class AnimationManager {
       hasAnimations: true,
       actionCount: this.animationActions.length,
       isPlaying: this.isPlaying,
-      speed: this.mixer.timeScale,
-      actions: this.animationActions.map((action, index) => ({
-        index,
-        name: action.getClip().name,
-        isRunning: action.isRunning(),
-        isPaused: action.paused,
-        weight: action.getEffectiveWeight(),
-        time: action.time,
+      speed: this.speed,
+      models: Array.from(this.mixers, ([name, { mixer, actions }]) => ({
+        name,
+        clips: actions.map((action) => this.actionInfo.get(action).clip),
+        speed: mixer.timeScale,
+        isRunning: actions.some((action) => action.isRunning()),
       })),
+      duration: this.getDuration(),
+      progress: this.getProgress(),
+      timeline: this.timeline
+        ? { step: this.timeline.index, steps: this.timeline.steps.length }
+        : null,
+      actions: this.animationActions.map((action, index) => {
+        const { id, model, clip } = this.actionInfo.get(action);
+        return {
+          index,
+          id,
+          model,
+          name: clip,
+          isRunning: action.isRunning(),
+          isPaused: action.paused,
+          weight: action.getEffectiveWeight(),
+          time: action.time,
+        };
+      }),
     };
   }
 
   /**
-   * 更新动画
+   * 更新所有模型的动画（由渲染循环每帧调用）
    * @param {number} deltaTime - 时间增量（秒）
+   * @returns {boolean} 是否仍有动画在播放（按需渲染时用于判断是否需要继续渲染）
    */
   update(deltaTime) {
-    if (this.mixer && this.isPlaying) {
-      this.mixer.update(deltaTime);
-    }
-  }
+    if (this.mixers.size === 0 || !this.isPlaying) return false;
 
-  /**
-   * 使用内置时钟更新动画
-   */
-  updateWithClock() {
-    if (this.mixer && this.isPlaying) {
-      const deltaTime = this.clock.getDelta();
-      this.mixer.update(deltaTime);
-    }
+    const scaledDelta = deltaTime * this.speed;
+    this.mixers.forEach(({ mixer }) => {
+      mixer.update(scaledDelta);
+    });
+    this.updatePendingStops(scaledDelta);
+    this.updateTimeline(scaledDelta);
+
+    return (
+      this.timeline !== null ||
+      this.pendingStops.size > 0 ||
+      this.animationActions.some((action) => action.isRunning())
+    );
   }
 
   /**
    * 获取动画混合器
+   * @param {string} model - 模型名称（可选），不指定时返回第一个注册的混合器
    */
-  getMixer() {
-    return this.mixer;
+  getMixer(model) {
+    const entry =
+      model === undefined
+        ? this.mixers.values().next().value
+        : this.mixers.get(model);
+    return entry ? entry.mixer : null;
   }
 
   /**
@@ -219,9 +852,10 @@ export class AnimationManager {
 
   /**
    * 检查是否有动画
+   * @param {string} model - 模型名称（可选）
    */
-  hasAnimations() {
-    return this.mixer !== null && this.animationActions.length > 0;
+  hasAnimations(model) {
+    return this.getModelActions(model).length > 0;
   }
 
   /**
@@ -235,12 +869,11 @@ export class AnimationManager {
    * 清理资源
    */
   dispose() {
-    if (this.mixer) {
-      this.mixer.stopAllAction();
-      this.mixer.uncacheRoot(this.mixer.getRoot());
-    }
-    this.animationActions = [];
-    this.mixer = null;
+    this.stopTimeline();
+    this.scrubbing = null;
+    const mixers = Array.from(this.mixers.values(), ({ mixer }) => mixer);
+    this.clearMixers();
+    mixers.forEach((mixer) => mixer.uncacheRoot(mixer.getRoot()));
     this.isPlaying = false;
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * 动画进度条
+ * 绑定 AnimationManager，显示播放进度和时间，拖动滑块时进入暂停拖动模式
+ */
+export class AnimationProgress {
+  /**
+   * @param {AnimationManager} animationManager - 动画管理器
+   * @param {Object} options - 配置选项
+   * @param {string} options.elementId - 动画控制栏元素 id
+   */
+  constructor(animationManager, options = {}) {
+    const { elementId = "animationControls" } = options;
+
+    this.animationManager = animationManager;
+    this.element = document.getElementById(elementId);
+    this.sliderElement = document.getElementById("animationProgress");
+    this.timeElement = document.getElementById("animationTime");
+    this.playButton = document.getElementById("playButton");
+    // 滑块取值范围 0 - steps
+    this.steps = this.sliderElement ? Number(this.sliderElement.max) || 1000 : 1000;
+
+    if (!this.sliderElement) return;
+
+    this.sliderElement.addEventListener("pointerdown", () => {
+      this.animationManager.beginScrub();
+    });
+    this.sliderElement.addEventListener("input", () => {
+      // 键盘操作滑块时没有 pointerdown，同样按拖动处理
+      this.animationManager.beginScrub();
+      this.animationManager.seekNormalized(
+        Number(this.sliderElement.value) / this.steps
+      );
+    });
+    this.sliderElement.addEventListener("change", () => {
+      this.animationManager.endScrub();
+    });
+    // 在滑块外松开时不会触发 change
+    window.addEventListener("pointerup", () => {
+      this.animationManager.endScrub();
+    });
+  }
+
+  /**
+   * 每帧调用，同步进度显示（拖动期间不覆盖滑块位置）
+   */
+  update() {
+    if (!this.element) return;
+
+    const hasAnimations = this.animationManager.hasAnimations();
+    this.element.classList.toggle("hidden", !hasAnimations);
+    if (!hasAnimations) return;
+
+    const { time, duration, progress } = this.animationManager.getProgress();
+    if (this.sliderElement && !this.animationManager.isScrubbing()) {
+      this.sliderElement.value = String(Math.round(progress * this.steps));
+    }
+    if (this.timeElement) {
+      this.timeElement.textContent = `${this.formatTime(time)} / ${this.formatTime(duration)}`;
+    }
+    if (this.playButton) {
+      this.playButton.textContent = this.animationManager.isAnimationPlaying()
+        ? "暂停"
+        : "播放";
+    }
+  }
+
+  /**
+   * 格式化时间
+   * @param {number} seconds - 时间（秒）
+   * @returns {string} 如 "0:05.2"
+   */
+  formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, "0");
+    return `${minutes}:${rest}`;
+  }
+}
@@ -12,6 +12,16 @@ class BoxModel {
     this.newInter = null;
     this.Lines = [];
     this.time = 0;
+    // 渲染循环（可选）和流光效果在按需渲染时的刷新方式:
+    // 'continuous' 连续渲染 | 'throttle' 空闲时按 idleFrameRate 低频渲染 | 'static' 不主动请求渲染
+    this.renderLoop = core.renderLoop || null;
+    this.renderMode = core.renderMode || "throttle";
+    // 地面纹理加载进度计入加载遮罩
+    this.loadingManager = core.progressTracker
+      ? core.progressTracker.createLoadingManager("texture:ground", {
+          type: "texture",
+        })
+      : undefined;
     this.images = [
       "./shader/grid3.png",
       "./shader/icon_20220311102510983_318887.png",
@@ -83,10 +93,25 @@ class BoxModel {
       boxModel.position.set(this.position.x, this.position.y, this.position.z);
       this.boxModel.push(boxModel);
       this.core.scene.add(boxModel);
+      // 流光地面参与选择性辉光
+      if (this.core.postprocessing) {
+        this.core.postprocessing.addBloom(boxModel);
+      }
+    }
+    if (this.renderLoop) {
+      // 流光着色器按渲染循环的累计时间驱动，暂停和时间缩放同样生效
+      this.renderLoop.add(
+        "ground",
+        (delta, elapsed, loop) => {
+          this.update(elapsed);
+          return this.renderMode !== "static" && !loop.isPaused();
+        },
+        { priority: 40, throttle: this.renderMode === "throttle" }
+      );
     }
   }
   _createMaterial(e, t, r, i, n, o, s, a, l, h, c, u, repeatFactor) {
-    var p = new THREE.TextureLoader(),
+    var p = new THREE.TextureLoader(this.loadingManager),
       d = null,
       g = null;
     l ||
@@ -121,13 +146,19 @@ class BoxModel {
         flowColor: {
           value: new THREE.Color(a),
         },
+        // 场景雾效参数，由渲染器根据 scene.fog 自动更新
+        ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
       },
       m = `varying vec2 vUv;
+                #include <fog_pars_vertex>
                 void main() {
                   vUv = uv;
-                  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.);
+                  vec4 mvPosition = modelViewMatrix * vec4(position, 1.);
+                  gl_Position = projectionMatrix * mvPosition;
+                  #include <fog_vertex>
                 }`,
       v = `
+            #include <fog_pars_fragment>
             varying vec2 vUv;
             uniform sampler2D map;
             uniform sampler2D maskMap;
@@ -159,6 +190,16 @@ class BoxModel {
               
               // 改进透明度计算，让效果更明显
               float finalAlpha = (alpha + glowIntensity * 2.0) * col.a * (1.2 - dis * 0.8) * opacity;
+
+              // 加法混合下雾效表现为随距离淡出，而不是混合到雾的颜色
+              #ifdef USE_FOG
+                #ifdef FOG_EXP2
+                  float fogFactor = 1.0 - exp(-fogDensity * fogDensity * vFogDepth * vFogDepth);
+                #else
+                  float fogFactor = smoothstep(fogNear, fogFar, vFogDepth);
+                #endif
+                finalAlpha *= 1.0 - fogFactor;
+              #endif
               gl_FragColor = vec4(finalCol.rgb, clamp(0., 1., finalAlpha));
             }
           `;
@@ -170,12 +211,19 @@ class BoxModel {
       blending: THREE.AdditiveBlending, // 使用加法混合增强发光效果
       depthWrite: false, // 禁用深度写入避免遮挡问题
       side: THREE.DoubleSide, // 双面渲染确保可见性
+      fog: true, // 响应场景雾效
     });
     return (y.roughness = l ? 0.1 : 1), y;
   }
   dispose() {
+    if (this.renderLoop) {
+      this.renderLoop.remove("ground");
+    }
     if (this.boxModel.length) {
       this.boxModel.forEach((element) => {
+        if (this.core.postprocessing) {
+          this.core.postprocessing.removeBloom(element);
+        }
         MemoryManager.dispose(element);
       });
     }
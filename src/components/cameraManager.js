@@ -1,5 +1,29 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { Tween, Group, Easing } from "@tweenjs/tween.js";
+
+// 相机约束计算时复用的临时向量
+const _targetBefore = new THREE.Vector3();
+const _targetDelta = new THREE.Vector3();
+const _fitSphere = new THREE.Sphere();
+
+/**
+ * 默认相机约束
+ * boundingSphere / minAltitude / minDistance / maxDistance / panBounds 为 null 时不限制，
+ * 调用 setConstraintsFromBounds 时根据模型包围盒自动计算
+ */
+const DEFAULT_CONSTRAINTS = {
+  enabled: true,
+  boundingSphere: null, // 相机和目标点的活动范围 THREE.Sphere
+  minAltitude: null, // 相机和目标点的最低高度（地面）
+  minPolarAngle: 0, // 最小极角（弧度）
+  maxPolarAngle: Math.PI / 2, // 最大极角（弧度），默认不允许从地面以下仰视
+  minAzimuthAngle: -Infinity, // 最小方位角（弧度）
+  maxAzimuthAngle: Infinity, // 最大方位角（弧度）
+  minDistance: null, // 相机到目标点的最小距离
+  maxDistance: null, // 相机到目标点的最大距离
+  panBounds: null, // 目标点的平移范围 THREE.Box3
+};
 
 /**
  * 相机管理器
@@ -11,6 +35,18 @@ export class CameraManager {
     this.controls = null;
     this.defaultPosition = new THREE.Vector3(0, 14, 24);
     this.defaultTarget = new THREE.Vector3(0, 0, 0);
+    this.tweenGroup = new Group();
+    this.flight = null;
+    this.viewpoints = new Map();
+    this.constraints = { ...DEFAULT_CONSTRAINTS };
+    this.onControlsChange = this.applyConstraints.bind(this);
+    // 最近一次自动取景的参数，用户操作相机前窗口尺寸变化时据此重新取景
+    this.fitState = null;
+    this.onControlsStart = () => {
+      this.fitState = null;
+    };
+    // 聚焦前的近远平面 { near, far }，返回视角后恢复
+    this.savedClipPlanes = null;
   }
 
   /**
@@ -61,16 +97,132 @@ export class CameraManager {
     this.controls.enableDamping = enableDamping;
     this.controls.dampingFactor = dampingFactor;
     this.controls.target.copy(target);
+    this.controls.addEventListener("change", this.onControlsChange);
+    this.controls.addEventListener("start", this.onControlsStart);
+    this.setConstraints();
     this.controls.update();
 
     return this.controls;
   }
 
+  /**
+   * 设置相机约束（与已有约束合并）
+   * @param {Object} constraints - 约束配置，字段见 DEFAULT_CONSTRAINTS
+   *   boundingSphere 可传 THREE.Sphere 或 { center: {x,y,z}, radius }
+   *   panBounds 可传 THREE.Box3 或 { min: {x,y,z}, max: {x,y,z} }
+   */
+  setConstraints(constraints = {}) {
+    const next = { ...this.constraints, ...constraints };
+
+    if (next.boundingSphere && !next.boundingSphere.isSphere) {
+      const { center, radius } = next.boundingSphere;
+      next.boundingSphere = new THREE.Sphere(
+        new THREE.Vector3(center.x, center.y, center.z),
+        radius
+      );
+    }
+    if (next.panBounds && !next.panBounds.isBox3) {
+      const { min, max } = next.panBounds;
+      next.panBounds = new THREE.Box3(
+        new THREE.Vector3(min.x, min.y, min.z),
+        new THREE.Vector3(max.x, max.y, max.z)
+      );
+    }
+
+    this.constraints = next;
+
+    if (!this.controls) return;
+
+    // 角度和距离限制交给 OrbitControls 处理
+    const enabled = next.enabled;
+    this.controls.minPolarAngle = enabled ? next.minPolarAngle : 0;
+    this.controls.maxPolarAngle = enabled ? next.maxPolarAngle : Math.PI;
+    this.controls.minAzimuthAngle = enabled ? next.minAzimuthAngle : -Infinity;
+    this.controls.maxAzimuthAngle = enabled ? next.maxAzimuthAngle : Infinity;
+    this.controls.minDistance = enabled ? (next.minDistance ?? 0) : 0;
+    this.controls.maxDistance = enabled ? (next.maxDistance ?? Infinity) : Infinity;
+
+    this.applyConstraints();
+  }
+
+  /**
+   * 根据模型包围盒计算默认约束
+   * @param {THREE.Box3} boundingBox - 模型（或场景）包围盒
+   * @param {Object} overrides - 覆盖配置，值为 null 或 undefined 的字段使用自动计算结果
+   * @param {number} overrides.boundsScale - 活动范围半径 = 模型半径 * 该倍数
+   */
+  setConstraintsFromBounds(boundingBox, overrides = {}) {
+    const { boundsScale = 3, ...rest } = overrides;
+    const center = boundingBox.getCenter(new THREE.Vector3());
+    const size = boundingBox.getSize(new THREE.Vector3());
+    const radius = Math.max(size.x, size.y, size.z);
+    const sphereRadius = radius * boundsScale;
+
+    const derived = {
+      boundingSphere: new THREE.Sphere(center, sphereRadius),
+      minAltitude: boundingBox.min.y,
+      minDistance: radius * 0.1,
+      maxDistance: sphereRadius,
+      panBounds: boundingBox.clone().expandByScalar(radius * 0.5),
+    };
+
+    // 配置中显式指定的值优先
+    Object.entries(rest).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        derived[key] = value;
+      }
+    });
+
+    this.setConstraints(derived);
+    return this.getConstraints();
+  }
+
+  /**
+   * 获取当前约束
+   */
+  getConstraints() {
+    return { ...this.constraints };
+  }
+
+  /**
+   * 将相机和目标点限制在约束范围内（控制器 change 时调用）
+   */
+  applyConstraints() {
+    if (!this.controls || !this.constraints.enabled) return;
+
+    const { boundingSphere, minAltitude, panBounds } = this.constraints;
+    const position = this.camera.position;
+    const target = this.controls.target;
+
+    // 限制目标点，相机随目标点同步移动以保持视角
+    _targetBefore.copy(target);
+    if (panBounds) {
+      target.clamp(panBounds.min, panBounds.max);
+    }
+    if (boundingSphere) {
+      boundingSphere.clampPoint(target, target);
+    }
+    if (minAltitude !== null && target.y < minAltitude) {
+      target.y = minAltitude;
+    }
+    position.add(_targetDelta.subVectors(target, _targetBefore));
+
+    // 限制相机位置
+    if (boundingSphere) {
+      boundingSphere.clampPoint(position, position);
+    }
+    if (minAltitude !== null && position.y < minAltitude) {
+      position.y = minAltitude;
+    }
+  }
+
   /**
    * 设置相机位置
    * @param {THREE.Vector3} position - 新位置
    */
   setPosition(position) {
+    this.stopFlight();
+    this.fitState = null;
     if (this.camera) {
       this.camera.position.copy(position);
     }
@@ -81,6 +233,8 @@ export class CameraManager {
    * @param {THREE.Vector3} target - 新目标点
    */
   setTarget(target) {
+    this.stopFlight();
+    this.fitState = null;
     if (this.controls) {
       this.controls.target.copy(target);
       this.controls.update();
@@ -88,42 +242,475 @@ export class CameraManager {
   }
 
   /**
-   * 根据模型包围盒设置相机位置
-   * @param {THREE.Box3} boundingBox - 模型包围盒
-   * @param {THREE.Vector3} center - 模型中心点
-   * @param {number} radius - 模型半径
-   * @param {number} distanceMultiplier - 距离倍数
+   * 相机飞行到指定位置和目标点
+   * 飞行期间禁用轨道控制器；新的飞行会中断正在进行的飞行
+   * @param {Object} options - 飞行配置
+   * @param {THREE.Vector3} options.position - 目标相机位置，默认保持当前位置
+   * @param {THREE.Vector3} options.target - 目标观察点，默认保持当前目标点
+   * @param {number} options.fov - 目标视野角度，默认保持当前视野
+   * @param {number} options.duration - 飞行时长（毫秒）
+   * @param {Function|string} options.easing - 缓动函数，或 Easing 名称如 "Quadratic.InOut"
+   * @returns {Promise<boolean>} 飞行完成时 resolve(true)，被中断时 resolve(false)
    */
-  setupForModel(boundingBox, center, radius, distanceMultiplier = 6) {
-    if (!this.camera) return;
+  flyTo(options = {}) {
+    if (!this.camera || !this.controls) {
+      return Promise.resolve(false);
+    }
+
+    const {
+      position = this.camera.position,
+      target = this.controls.target,
+      fov = this.camera.fov,
+      duration = 1000,
+      easing = Easing.Quadratic.InOut,
+    } = options;
 
-    // 计算合适的相机距离，确保模型完全可见
-    const distance = radius * distanceMultiplier;
+    // 中断正在进行的飞行，保留飞行前的控制器状态
+    const controlsEnabled = this.flight
+      ? this.flight.controlsEnabled
+      : this.controls.enabled;
+    this.stopFlight();
+    this.fitState = null;
 
-    // 设置相机位置和朝向
-    this.camera.position.copy(this.defaultPosition);
-    this.camera.lookAt(center);
+    const endPosition = position.clone();
+    const endTarget = target.clone();
 
-    // 设置控制器目标
-    if (this.controls) {
-      this.controls.target.copy(center);
+    if (duration <= 0) {
+      this.camera.position.copy(endPosition);
+      this.controls.target.copy(endTarget);
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
       this.controls.update();
+      return Promise.resolve(true);
+    }
+
+    const startPosition = this.camera.position.clone();
+    const startTarget = this.controls.target.clone();
+    const startFov = this.camera.fov;
+    this.controls.enabled = false;
+
+    return new Promise((resolve) => {
+      const progress = { t: 0 };
+      const tween = new Tween(progress, this.tweenGroup)
+        .to({ t: 1 }, duration)
+        .easing(this.resolveEasing(easing))
+        .onUpdate(() => {
+          this.camera.position.lerpVectors(startPosition, endPosition, progress.t);
+          this.controls.target.lerpVectors(startTarget, endTarget, progress.t);
+          this.camera.lookAt(this.controls.target);
+          if (fov !== startFov) {
+            this.camera.fov = THREE.MathUtils.lerp(startFov, fov, progress.t);
+            this.camera.updateProjectionMatrix();
+          }
+        })
+        .onComplete(() => {
+          this.finishFlight(true);
+          this.controls.update();
+        })
+        .start();
+
+      this.flight = { tween, controlsEnabled, resolve };
+    });
+  }
+
+  /**
+   * 停止正在进行的飞行，相机停留在当前位置
+   */
+  stopFlight() {
+    if (this.flight) {
+      this.flight.tween.stop();
+      this.finishFlight(false);
+    }
+  }
+
+  /**
+   * 是否正在飞行
+   */
+  isFlying() {
+    return this.flight !== null;
+  }
+
+  /**
+   * 结束飞行并恢复控制器
+   * @param {boolean} completed - 是否正常完成
+   */
+  finishFlight(completed) {
+    const { tween, controlsEnabled, resolve } = this.flight;
+    this.tweenGroup.remove(tween);
+    this.controls.enabled = controlsEnabled;
+    this.flight = null;
+    resolve(completed);
+  }
+
+  /**
+   * 解析缓动函数
+   * @param {Function|string} easing - 缓动函数或名称，如 "Cubic.Out"、"Linear.None"
+   * @returns {Function} 缓动函数
+   */
+  resolveEasing(easing) {
+    if (typeof easing === "function") {
+      return easing;
+    }
+    const [family, type = "InOut"] = String(easing).split(".");
+    const resolved = Easing[family] && Easing[family][type];
+    if (!resolved) {
+      console.warn(`未知的缓动函数: ${easing}，使用 Quadratic.InOut`);
+      return Easing.Quadratic.InOut;
     }
+    return resolved;
+  }
+
+  /**
+   * 获取当前视角（位置、目标点、视野），数值保留三位小数
+   * @param {string} name - 视角名称
+   * @returns {Object|null} 视角对象 { name, position, target, fov }
+   */
+  captureViewpoint(name = "") {
+    if (!this.camera || !this.controls) return null;
+
+    const round = (value) => Number(value.toFixed(3));
+    const toObject = (vector) => ({
+      x: round(vector.x),
+      y: round(vector.y),
+      z: round(vector.z),
+    });
+
+    return {
+      name,
+      position: toObject(this.camera.position),
+      target: toObject(this.controls.target),
+      fov: round(this.camera.fov),
+    };
+  }
 
-    // 更新相机参数，确保近远平面合适
-    this.camera.near = distance * 0.01;
-    this.camera.far = distance * 100;
+  /**
+   * 以指定名称保存当前视角（同名视角会被覆盖）
+   * @param {string} name - 视角名称
+   * @returns {Object|null} 保存的视角对象
+   */
+  saveViewpoint(name) {
+    const viewpoint = this.captureViewpoint(name);
+    if (viewpoint) {
+      this.viewpoints.set(name, viewpoint);
+    }
+    return viewpoint;
+  }
+
+  /**
+   * 添加视角（例如来自配置文件）
+   * @param {Object} viewpoint - 视角对象 { name, position: {x,y,z}, target: {x,y,z}, fov? }
+   * @returns {boolean} 是否添加成功
+   */
+  addViewpoint(viewpoint) {
+    const isVector = (value) =>
+      value && ["x", "y", "z"].every((axis) => Number.isFinite(value[axis]));
+
+    if (
+      !viewpoint ||
+      !viewpoint.name ||
+      !isVector(viewpoint.position) ||
+      !isVector(viewpoint.target)
+    ) {
+      console.warn("无效的视角配置:", viewpoint);
+      return false;
+    }
+
+    const { name, position, target, fov } = viewpoint;
+    this.viewpoints.set(name, {
+      name,
+      position: { x: position.x, y: position.y, z: position.z },
+      target: { x: target.x, y: target.y, z: target.z },
+      fov: Number.isFinite(fov) ? fov : null,
+    });
+    return true;
+  }
+
+  /**
+   * 获取指定名称的视角
+   * @param {string} name - 视角名称
+   */
+  getViewpoint(name) {
+    return this.viewpoints.get(name) || null;
+  }
+
+  /**
+   * 获取所有视角
+   */
+  getViewpoints() {
+    return Array.from(this.viewpoints.values());
+  }
+
+  /**
+   * 删除视角
+   * @param {string} name - 视角名称
+   */
+  removeViewpoint(name) {
+    return this.viewpoints.delete(name);
+  }
+
+  /**
+   * 飞行到指定名称的视角
+   * @param {string} name - 视角名称
+   * @param {Object} options - 飞行配置，同 flyTo 的 duration、easing
+   * 飞行完成后恢复 focusOn 调小之前的近远平面
+   * @returns {Promise<boolean>} 飞行完成时 resolve(true)，视角不存在或被中断时 resolve(false)
+   */
+  recallViewpoint(name, options = {}) {
+    const viewpoint = this.viewpoints.get(name);
+    if (!viewpoint) {
+      console.warn(`视角 ${name} 不存在`);
+      return Promise.resolve(false);
+    }
+
+    const { position, target, fov } = viewpoint;
+    return this.flyTo({
+      ...options,
+      position: new THREE.Vector3(position.x, position.y, position.z),
+      target: new THREE.Vector3(target.x, target.y, target.z),
+      fov: fov ?? this.camera.fov,
+    }).then((completed) => {
+      // 飞行被中断时相机可能仍靠近聚焦的对象，保持较小的近平面
+      if (completed) {
+        this.restoreClipPlanes();
+      }
+      return completed;
+    });
+  }
+
+  /**
+   * 恢复 focusOn 调小之前的近远平面
+   */
+  restoreClipPlanes() {
+    if (!this.savedClipPlanes || !this.camera) return;
+
+    this.camera.near = this.savedClipPlanes.near;
+    this.camera.far = this.savedClipPlanes.far;
     this.camera.updateProjectionMatrix();
+    this.savedClipPlanes = null;
+  }
+
+  /**
+   * 导出所有视角为 JSON 字符串
+   * @returns {string} JSON 字符串
+   */
+  exportViewpoints() {
+    return JSON.stringify(this.getViewpoints(), null, 2);
+  }
+
+  /**
+   * 导入视角
+   * @param {string|Array} data - JSON 字符串或视角数组
+   * @param {Object} options - 导入选项
+   * @param {boolean} options.replace - 是否先清空已有视角
+   * @returns {number} 成功导入的视角数量
+   */
+  importViewpoints(data, options = {}) {
+    const { replace = false } = options;
+
+    let viewpoints = data;
+    if (typeof data === "string") {
+      try {
+        viewpoints = JSON.parse(data);
+      } catch (error) {
+        console.error("视角 JSON 解析失败:", error);
+        return 0;
+      }
+    }
+
+    if (!Array.isArray(viewpoints)) {
+      console.warn("视角数据应为数组");
+      return 0;
+    }
+
+    if (replace) {
+      this.viewpoints.clear();
+    }
+
+    return viewpoints.filter((viewpoint) => this.addViewpoint(viewpoint))
+      .length;
+  }
+
+  /**
+   * 计算完整显示指定包围盒所需的相机位置（考虑垂直视野和宽高比）
+   * @param {THREE.Box3|THREE.Object3D|Array<THREE.Object3D>} subject - 包围盒或对象（数组）
+   * @param {Object} options - 取景配置
+   * @param {number} options.padding - 留白比例，0.1 表示四周各留出 10%
+   * @param {THREE.Vector3|Object} options.direction - 观察方向（从目标点指向相机），默认使用当前观察方向
+   * @returns {Object|null} 取景结果 { center, radius, distance, position, target, near, far }
+   */
+  computeFit(subject, options = {}) {
+    if (!this.camera) return null;
+
+    const { padding = 0.1, direction = null } = options;
+
+    const box = this.toBox3(subject);
+    if (box.isEmpty()) {
+      console.warn("取景对象的包围盒为空");
+      return null;
+    }
+    box.getBoundingSphere(_fitSphere);
+    const center = _fitSphere.center.clone();
+    const radius = Math.max(_fitSphere.radius, 1e-3);
+
+    // 取垂直和水平视野中较小的一个，保证竖屏时模型不被裁切
+    const verticalFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const horizontalFov =
+      2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect);
+    const fov = Math.min(verticalFov, horizontalFov);
+    const distance = (radius * (1 + padding)) / Math.sin(fov / 2);
+
+    // 观察方向
+    const viewDirection = new THREE.Vector3();
+    if (direction) {
+      viewDirection.set(direction.x || 0, direction.y || 0, direction.z || 0);
+    } else if (this.controls) {
+      viewDirection.subVectors(this.camera.position, this.controls.target);
+    }
+    if (viewDirection.lengthSq() === 0) {
+      viewDirection.subVectors(this.defaultPosition, this.defaultTarget);
+    }
+    viewDirection.normalize();
 
     return {
+      center,
+      radius,
       distance,
-      position: this.camera.position.clone(),
+      position: center.clone().addScaledVector(viewDirection, distance),
       target: center.clone(),
+      near: distance * 0.01,
+      far: distance * 100,
+    };
+  }
+
+  /**
+   * 相机取景到指定包围盒或对象
+   * 用户操作相机前，窗口宽高比变化时会自动重新取景
+   * @param {THREE.Box3|THREE.Object3D|Array<THREE.Object3D>} subject - 包围盒或对象（数组）
+   * @param {Object} options - 取景配置，同 computeFit，另外支持 flyTo 的 duration、easing
+   * @returns {Promise<boolean>} 同 flyTo
+   */
+  fitToBounds(subject, options = {}) {
+    const fit = this.computeFit(subject, options);
+    if (!fit) return Promise.resolve(false);
+
+    const { duration = 0, easing } = options;
+
+    this.camera.near = fit.near;
+    this.camera.far = fit.far;
+    this.camera.updateProjectionMatrix();
+    // 取景重新设置了近远平面，不再恢复聚焦前的值
+    this.savedClipPlanes = null;
+
+    const flight = this.flyTo({
+      position: fit.position,
+      target: fit.target,
+      duration,
+      easing,
+    });
+
+    // 记录取景参数（固定观察方向，避免重新取景时方向漂移）
+    this.fitState = {
+      box: this.toBox3(subject),
+      options: {
+        ...options,
+        direction: fit.position.clone().sub(fit.target).normalize(),
+      },
+    };
+
+    return flight;
+  }
+
+  /**
+   * 聚焦到指定对象：目标点移动到对象包围盒中心，相机沿当前观察方向移动到取景距离
+   * 取景距离受 minDistance / maxDistance 约束限制，近平面按需调小以免拉近后裁切对象，
+   * 调小前的近远平面在 recallViewpoint 飞行完成后恢复
+   * @param {THREE.Box3|THREE.Object3D|Array<THREE.Object3D>} subject - 包围盒或对象（数组）
+   * @param {Object} options - 取景配置，同 computeFit 的 padding，另外支持 flyTo 的 duration、easing
+   * @returns {Promise<boolean>} 同 flyTo
+   */
+  focusOn(subject, options = {}) {
+    const { duration = 800, easing, ...fitOptions } = options;
+    const fit = this.computeFit(subject, fitOptions);
+    if (!fit) return Promise.resolve(false);
+
+    let distance = fit.distance;
+    if (this.constraints.enabled) {
+      const { minDistance, maxDistance } = this.constraints;
+      distance = THREE.MathUtils.clamp(
+        distance,
+        minDistance ?? 0,
+        maxDistance ?? Infinity
+      );
+    }
+
+    if (distance * 0.01 < this.camera.near) {
+      // 连续聚焦时只记录第一次调小前的值
+      if (!this.savedClipPlanes) {
+        this.savedClipPlanes = { near: this.camera.near, far: this.camera.far };
+      }
+      this.camera.near = distance * 0.01;
+      this.camera.updateProjectionMatrix();
+    }
+
+    const direction = fit.position.clone().sub(fit.target).normalize();
+    return this.flyTo({
+      position: fit.target.clone().addScaledVector(direction, distance),
+      target: fit.target,
+      duration,
+      easing,
+    });
+  }
+
+  /**
+   * 将取景对象转换为包围盒
+   * @param {THREE.Box3|THREE.Object3D|Array<THREE.Object3D>} subject - 包围盒或对象（数组）
+   * @returns {THREE.Box3} 新的包围盒
+   */
+  toBox3(subject) {
+    if (subject && subject.isBox3) {
+      return subject.clone();
+    }
+
+    const box = new THREE.Box3();
+    const objects = Array.isArray(subject) ? subject : [subject];
+    objects.forEach((object) => {
+      if (object && object.isObject3D) {
+        box.expandByObject(object);
+      }
+    });
+    return box;
+  }
+
+  /**
+   * 根据模型包围盒设置相机位置
+   * 相机沿默认观察方向后退到恰好完整显示模型的距离
+   * @param {THREE.Box3} boundingBox - 模型包围盒
+   * @param {THREE.Vector3} center - 模型中心点（保留参数，取景中心由包围盒计算）
+   * @param {number} radius - 模型半径（保留参数，取景半径由包围盒计算）
+   * @param {Object} options - 取景配置，同 fitToBounds
+   */
+  setupForModel(boundingBox, center, radius, options = {}) {
+    if (!this.camera) return;
+
+    const fitOptions = {
+      direction: this.defaultPosition.clone().sub(this.defaultTarget),
+      ...options,
+    };
+    const fit = this.computeFit(boundingBox, fitOptions);
+    if (!fit) return;
+
+    this.fitToBounds(boundingBox, fitOptions);
+
+    return {
+      distance: fit.distance,
+      position: fit.position.clone(),
+      target: fit.target.clone(),
     };
   }
 
   /**
    * 更新相机宽高比
+   * 用户尚未操作相机时，按新的宽高比重新取景
    * @param {number} width - 新宽度
    * @param {number} height - 新高度
    */
@@ -131,6 +718,15 @@ export class CameraManager {
     if (this.camera) {
       this.camera.aspect = width / height;
       this.camera.updateProjectionMatrix();
+
+      if (this.fitState) {
+        const { box, options } = this.fitState;
+        this.fitToBounds(box, {
+          ...options,
+          // 初始飞行未结束时保持飞行，否则直接跳转
+          duration: this.isFlying() ? options.duration : 0,
+        });
+      }
     }
   }
 
@@ -150,11 +746,18 @@ export class CameraManager {
 
   /**
    * 更新控制器
+   * @returns {boolean} 是否正在飞行（按需渲染时用于判断是否需要继续渲染）
    */
   update() {
+    // 飞行期间由补间动画驱动相机，不更新控制器
+    if (this.flight) {
+      this.tweenGroup.update();
+      return true;
+    }
     if (this.controls) {
       this.controls.update();
     }
+    return false;
   }
 
   /**
@@ -189,7 +792,10 @@ export class CameraManager {
    * 清理资源
    */
   dispose() {
+    this.stopFlight();
     if (this.controls) {
+      this.controls.removeEventListener("change", this.onControlsChange);
+      this.controls.removeEventListener("start", this.onControlsStart);
       this.controls.dispose();
     }
   }
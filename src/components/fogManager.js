@@ -0,0 +1,239 @@
+import * as THREE from "three";
+
+// 未提供模型包围信息时使用的默认雾效参数
+const DEFAULT_FOG = {
+  enabled: false,
+  type: "linear", // 雾效类型: 'linear' | 'exp2' | 'height'
+  color: 0xcfc9c9,
+  near: null, // 线性雾起始距离，为 null 时按模型半径计算
+  far: null, // 线性雾完全遮挡距离，为 null 时按模型半径计算
+  density: null, // 指数雾密度，为 null 时按模型半径计算
+  height: null, // 高度雾基准高度，为 null 时取模型包围盒底部
+  falloff: null, // 高度雾衰减高度，为 null 时取模型半径
+};
+
+/**
+ * 雾效管理器
+ * 支持线性雾（THREE.Fog）、指数雾（THREE.FogExp2）和基于高度的指数雾
+ * 高度雾通过 onBeforeCompile 修改内置材质的 fog 着色器片段实现，参数以共享 uniform 的形式在运行时调整
+ */
+export class FogManager {
+  constructor() {
+    this.scene = null;
+    this.config = { ...DEFAULT_FOG };
+    this.bounds = null;
+    // 所有打过高度雾补丁的材质共享这组 uniform
+    this.heightUniforms = {
+      fogHeightEnabled: { value: 0 },
+      fogHeight: { value: 0 },
+      fogHeightFalloff: { value: 1 },
+    };
+    this.patchedMaterials = new WeakSet();
+  }
+
+  /**
+   * 初始化雾效管理器
+   * @param {THREE.Scene} scene - 场景对象
+   */
+  init(scene) {
+    this.scene = scene;
+  }
+
+  /**
+   * 设置雾效配置（整体替换），未指定的字段使用默认值
+   * @param {Object} config - 雾效配置，见 DEFAULT_FOG
+   */
+  setConfig(config = {}) {
+    this.config = { ...DEFAULT_FOG, ...config };
+    this.apply();
+  }
+
+  /**
+   * 运行时调整雾效参数（与当前配置合并）
+   * @param {Object} params - 雾效参数
+   */
+  update(params = {}) {
+    this.config = { ...this.config, ...params };
+    this.apply();
+  }
+
+  /**
+   * 获取当前雾效配置及实际生效的参数
+   * @returns {Object} 雾效配置
+   */
+  getConfig() {
+    return { ...this.config, resolved: this.resolveParams() };
+  }
+
+  /**
+   * 设置模型包围盒，未指定的雾效距离、密度和高度据此计算
+   * @param {THREE.Box3} boundingBox - 模型包围盒
+   */
+  setBounds(boundingBox) {
+    this.bounds = boundingBox ? boundingBox.clone() : null;
+    this.apply();
+  }
+
+  /**
+   * 计算实际生效的雾效参数
+   * 线性雾从约 3 倍半径处开始，到 10 倍半径（地面边缘）完全遮挡；指数雾密度使 10 倍半径处约 95% 被遮挡
+   * @returns {Object} { near, far, density, height, falloff }
+   */
+  resolveParams() {
+    const { near, far, density, height, falloff } = this.config;
+    let radius = null;
+    let bottom = 0;
+
+    if (this.bounds && !this.bounds.isEmpty()) {
+      const size = this.bounds.getSize(new THREE.Vector3());
+      radius = Math.max(size.x, size.y, size.z) / 2;
+      bottom = this.bounds.min.y;
+    }
+
+    return {
+      near: near ?? (radius ? radius * 3 : 10),
+      far: far ?? (radius ? radius * 10 : 500),
+      density: density ?? (radius ? Math.sqrt(3) / (radius * 10) : 0.002),
+      height: height ?? bottom,
+      falloff: falloff ?? (radius || 10),
+    };
+  }
+
+  /**
+   * 按当前配置更新 scene.fog
+   */
+  apply() {
+    if (!this.scene) return;
+
+    const { enabled, type, color } = this.config;
+    if (!enabled) {
+      this.scene.fog = null;
+      this.heightUniforms.fogHeightEnabled.value = 0;
+      return;
+    }
+
+    const params = this.resolveParams();
+    const isLinear = type === "linear";
+    const fog = this.scene.fog;
+
+    // 同类型雾效原地修改，避免材质重新编译
+    if (isLinear) {
+      if (fog && fog.isFog) {
+        fog.color.set(color);
+        fog.near = params.near;
+        fog.far = params.far;
+      } else {
+        this.scene.fog = new THREE.Fog(color, params.near, params.far);
+      }
+    } else if (fog && fog.isFogExp2) {
+      fog.color.set(color);
+      fog.density = params.density;
+    } else {
+      this.scene.fog = new THREE.FogExp2(color, params.density);
+    }
+
+    this.heightUniforms.fogHeight.value = params.height;
+    this.heightUniforms.fogHeightFalloff.value = params.falloff;
+    this.heightUniforms.fogHeightEnabled.value = type === "height" ? 1 : 0;
+
+    if (type === "height") {
+      this.patchScene();
+    }
+  }
+
+  /**
+   * 为场景中的所有内置材质打上高度雾补丁（模型加载后需要再次调用）
+   */
+  patchScene() {
+    if (!this.scene) return;
+
+    this.scene.traverse((object) => {
+      if (!object.isMesh || !object.material) return;
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      materials.forEach((material) => this.patchMaterial(material));
+    });
+  }
+
+  /**
+   * 为单个材质打上高度雾补丁：雾效系数乘以随世界坐标高度衰减的系数
+   * 自定义 ShaderMaterial 不处理，需要自行引入 fog 着色器片段
+   * @param {THREE.Material} material - 材质
+   */
+  patchMaterial(material) {
+    if (
+      !material ||
+      !material.fog ||
+      material.isShaderMaterial ||
+      this.patchedMaterials.has(material)
+    ) {
+      return;
+    }
+
+    const previousOnBeforeCompile = material.onBeforeCompile;
+    const previousCacheKey = material.customProgramCacheKey;
+
+    material.onBeforeCompile = (shader, renderer) => {
+      previousOnBeforeCompile.call(material, shader, renderer);
+      Object.assign(shader.uniforms, this.heightUniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace(
+          "#include <fog_pars_vertex>",
+          "#include <fog_pars_vertex>\n#ifdef USE_FOG\n  varying float vFogWorldY;\n#endif"
+        )
+        .replace(
+          "#include <fog_vertex>",
+          `#include <fog_vertex>
+#ifdef USE_FOG
+  vec4 fogWorldPosition = vec4( transformed, 1.0 );
+  #ifdef USE_INSTANCING
+    fogWorldPosition = instanceMatrix * fogWorldPosition;
+  #endif
+  vFogWorldY = ( modelMatrix * fogWorldPosition ).y;
+#endif`
+        );
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace(
+          "#include <fog_pars_fragment>",
+          `#include <fog_pars_fragment>
+#ifdef USE_FOG
+  varying float vFogWorldY;
+  uniform float fogHeightEnabled;
+  uniform float fogHeight;
+  uniform float fogHeightFalloff;
+#endif`
+        )
+        .replace(
+          "#include <fog_fragment>",
+          `#ifdef USE_FOG
+  #ifdef FOG_EXP2
+    float fogFactor = 1.0 - exp( - fogDensity * fogDensity * vFogDepth * vFogDepth );
+  #else
+    float fogFactor = smoothstep( fogNear, fogFar, vFogDepth );
+  #endif
+  float heightFactor = exp( - max( vFogWorldY - fogHeight, 0.0 ) / max( fogHeightFalloff, 0.0001 ) );
+  fogFactor *= mix( 1.0, heightFactor, fogHeightEnabled );
+  gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );
+#endif`
+        );
+    };
+    material.customProgramCacheKey = () =>
+      `${previousCacheKey.call(material)}|heightFog`;
+    material.needsUpdate = true;
+
+    this.patchedMaterials.add(material);
+  }
+
+  /**
+   * 清理雾效
+   */
+  dispose() {
+    if (this.scene) {
+      this.scene.fog = null;
+    }
+    this.config = { ...DEFAULT_FOG };
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * 模型层级面板
+ * 以树形结构显示 ModelInspector 的节点，提供显隐勾选、"孤立" 和 "透明其他" 操作
+ * 子节点在展开时才创建 DOM，避免节点较多的模型一次性生成大量元素
+ */
+export class HierarchyPanel {
+  /**
+   * @param {ModelInspector} inspector - 模型层级检查器
+   * @param {Object} options - 配置选项
+   * @param {string} options.elementId - 面板元素 id
+   * @param {string} options.toggleButtonId - 展开/收起面板按钮的 id
+   * @param {boolean} options.visible - 初始是否显示
+   * @param {Function} options.onSelect - 点击节点名称时的回调 (node) => void
+   */
+  constructor(inspector, options = {}) {
+    const {
+      elementId = "hierarchyPanel",
+      toggleButtonId = "hierarchyToggle",
+      visible = false,
+      onSelect = null,
+    } = options;
+
+    this.inspector = inspector;
+    this.element = document.getElementById(elementId);
+    this.toggleButton = document.getElementById(toggleButtonId);
+    this.treeElement = this.element
+      ? this.element.querySelector(".hierarchy-tree")
+      : null;
+    this.onSelect = onSelect;
+    this.expandedIds = new Set();
+    this.selectedId = null;
+
+    if (!this.element || !this.treeElement) return;
+
+    this.setVisible(visible);
+    this.treeElement.addEventListener("click", (event) =>
+      this.handleClick(event)
+    );
+    this.treeElement.addEventListener("change", (event) =>
+      this.handleChange(event)
+    );
+
+    const resetButton = this.element.querySelector("[data-action='reset']");
+    if (resetButton) {
+      resetButton.addEventListener("click", () => this.inspector.clearMode());
+    }
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener("click", () => this.toggle());
+    }
+
+    inspector.addEventListener("change", () => this.render());
+  }
+
+  /**
+   * 显示/隐藏面板
+   * @param {boolean} visible - 是否显示
+   */
+  setVisible(visible) {
+    if (!this.element) return;
+    this.element.classList.toggle("hidden", !visible);
+    if (visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * 面板是否显示
+   */
+  isVisible() {
+    return !!this.element && !this.element.classList.contains("hidden");
+  }
+
+  /**
+   * 切换面板显示
+   */
+  toggle() {
+    this.setVisible(!this.isVisible());
+  }
+
+  /**
+   * 展开或收起节点
+   * @param {string} id - 节点 id
+   * @param {boolean} expanded - 是否展开，不指定时切换
+   */
+  setExpanded(id, expanded = !this.expandedIds.has(id)) {
+    if (expanded) {
+      this.expandedIds.add(id);
+    } else {
+      this.expandedIds.delete(id);
+    }
+    this.render();
+  }
+
+  /**
+   * 标记选中的节点，并展开其所有父节点、滚动到可见区域
+   * @param {string|null} id - 节点 id，为 null 时取消标记
+   */
+  reveal(id) {
+    this.selectedId = id;
+
+    let node = id ? this.inspector.findNode(id) : null;
+    while (node && node.parentId) {
+      this.expandedIds.add(node.parentId);
+      node = this.inspector.findNode(node.parentId);
+    }
+    this.render();
+
+    if (id && this.isVisible()) {
+      const row = this.treeElement.querySelector(
+        `[data-id="${CSS.escape(id)}"]`
+      );
+      if (row) {
+        row.scrollIntoView({ block: "nearest" });
+      }
+    }
+  }
+
+  /**
+   * 获取面板状态（用于与宿主页面通信）
+   * @returns {Object} { visible, expanded, selected }
+   */
+  getState() {
+    return {
+      visible: this.isVisible(),
+      expanded: Array.from(this.expandedIds),
+      selected: this.selectedId,
+    };
+  }
+
+  /**
+   * 重新生成树形结构（面板隐藏时跳过）
+   */
+  render() {
+    if (!this.treeElement || !this.isVisible()) return;
+
+    const { mode, nodeId } = this.inspector.getState();
+    const fragment = document.createDocumentFragment();
+    this.inspector.models.forEach(({ modelName }) => {
+      this.renderNode(this.inspector.findNode(modelName), 0, fragment, {
+        mode,
+        nodeId,
+      });
+    });
+
+    this.treeElement.replaceChildren(fragment);
+    this.element.classList.toggle("has-mode", !!mode);
+  }
+
+  /**
+   * 生成单个节点行，已展开的节点继续生成子节点
+   * @param {Object} node - 节点
+   * @param {number} depth - 层级深度
+   * @param {DocumentFragment} fragment - 输出容器
+   * @param {Object} state - 当前模式 { mode, nodeId }
+   */
+  renderNode(node, depth, fragment, state) {
+    if (!node) return;
+
+    const { id, object, childIds } = node;
+    const expanded = this.expandedIds.has(id);
+
+    const row = document.createElement("div");
+    row.className = "hierarchy-row";
+    row.dataset.id = id;
+    row.style.paddingLeft = `${depth * 14 + 4}px`;
+    row.classList.toggle("selected", id === this.selectedId);
+    row.classList.toggle("active", id === state.nodeId);
+    row.classList.toggle("hidden-node", !object.visible);
+
+    const toggle = document.createElement("span");
+    toggle.className = "hierarchy-expand";
+    toggle.dataset.action = "expand";
+    toggle.textContent = childIds.length ? (expanded ? "▾" : "▸") : "";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = object.visible;
+    checkbox.title = "显示/隐藏";
+
+    const label = document.createElement("span");
+    label.className = "hierarchy-name";
+    label.dataset.action = "select";
+    label.textContent = object.name || `(${object.type})`;
+    label.title = id;
+
+    const isolate = document.createElement("button");
+    isolate.dataset.action = "isolate";
+    isolate.textContent = "孤立";
+
+    const ghost = document.createElement("button");
+    ghost.dataset.action = "ghost";
+    ghost.textContent = "透明";
+
+    row.append(toggle, checkbox, label, isolate, ghost);
+    fragment.appendChild(row);
+
+    if (expanded) {
+      childIds.forEach((childId) =>
+        this.renderNode(this.inspector.findNode(childId), depth + 1, fragment, state)
+      );
+    }
+  }
+
+  /**
+   * 处理节点行上的点击（展开、选中、孤立、透明）
+   * @param {MouseEvent} event - 点击事件
+   */
+  handleClick(event) {
+    const actionElement = event.target.closest("[data-action]");
+    const row = event.target.closest(".hierarchy-row");
+    if (!actionElement || !row) return;
+
+    const { id } = row.dataset;
+    const { mode, nodeId } = this.inspector.getState();
+
+    switch (actionElement.dataset.action) {
+      case "expand":
+        this.setExpanded(id);
+        break;
+      case "select":
+        this.selectedId = id;
+        this.render();
+        if (this.onSelect) {
+          this.onSelect(this.inspector.findNode(id));
+        }
+        break;
+      case "isolate":
+        // 再次点击当前孤立的节点时退出孤立
+        if (mode === "isolate" && nodeId === id) {
+          this.inspector.clearMode();
+        } else {
+          this.inspector.isolate(id);
+        }
+        break;
+      case "ghost":
+        if (mode === "ghost" && nodeId === id) {
+          this.inspector.clearMode();
+        } else {
+          this.inspector.ghost(id);
+        }
+        break;
+    }
+  }
+
+  /**
+   * 处理显隐勾选
+   * @param {Event} event - change 事件
+   */
+  handleChange(event) {
+    const row = event.target.closest(".hierarchy-row");
+    if (!row || event.target.type !== "checkbox") return;
+    this.inspector.setVisible(row.dataset.id, event.target.checked);
+  }
+}
@@ -0,0 +1,472 @@
+import * as THREE from "three";
+
+// 默认拾取配置，可被 config.interaction 覆盖
+const DEFAULT_INTERACTION = {
+  enabled: true,
+  selectableNames: [],
+  dragThreshold: 5,
+  dblClickInterval: 300,
+  highlight: {
+    mode: "outline",
+    hoverColor: 0x2a6f8f,
+    selectColor: 0x1f9bd1,
+    emissiveIntensity: 1,
+    hoverChannel: 0,
+    selectChannel: 1,
+  },
+};
+
+/**
+ * 交互管理器
+ * 负责对已加载的模型做射线拾取，处理悬停、单击、双击，并高亮悬停和选中的物体
+ * 派发事件: hover（悬停物体变化，离开时 object 为 null）
+ *          click（单击，双击间隔过后才派发，双击时不派发；点击空白处时 object 为 null）
+ *          dblclick（双击，同时选中双击的物体；点击空白处时 object 为 null）
+ *          rightdblclick（右键双击）
+ *          select（选中物体变化，取消选中时 object 为 null）
+ * 事件数据: { object, mesh, modelName, point }
+ */
+export class InteractionManager extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.camera = null;
+    this.domElement = null;
+    this.postProcessingManager = null;
+    this.config = { ...DEFAULT_INTERACTION };
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    // 可拾取的模型: [{ model, modelName }]
+    this.targets = [];
+    this.hovered = null;
+    this.selected = null;
+    // 指针移动后在下一次 update 中做悬停检测，避免每个 pointermove 都做射线检测
+    this.pointerDirty = false;
+    this.pointerInside = false;
+    this.pointerDown = null;
+    // 浏览器不为右键派发 dblclick，记录上一次右键抬起的时间
+    this.lastRightClickTime = 0;
+    // 等待双击间隔过后再处理的单击定时器
+    this.pendingClick = null;
+    // 自发光高亮时被替换的原始材质（网格 -> 材质）
+    this.originalMaterials = new Map();
+
+    this.onPointerMove = this.handlePointerMove.bind(this);
+    this.onPointerLeave = this.handlePointerLeave.bind(this);
+    this.onPointerDown = this.handlePointerDown.bind(this);
+    this.onPointerUp = this.handlePointerUp.bind(this);
+    this.onClick = this.handleClick.bind(this);
+    this.onDblClick = this.handleDblClick.bind(this);
+  }
+
+  /**
+   * 初始化交互管理器
+   * @param {THREE.Camera} camera - 相机
+   * @param {HTMLElement} domElement - 监听指针事件的元素（渲染器画布）
+   * @param {Object} options - 配置选项，见 config.interaction
+   * @param {PostProcessingManager} options.postProcessingManager - 描边高亮使用的后处理管理器
+   */
+  init(camera, domElement, options = {}) {
+    const { postProcessingManager = null, highlight = {}, ...config } = options;
+
+    this.camera = camera;
+    this.domElement = domElement;
+    this.postProcessingManager = postProcessingManager;
+    this.config = {
+      ...DEFAULT_INTERACTION,
+      ...config,
+      highlight: { ...DEFAULT_INTERACTION.highlight, ...highlight },
+    };
+
+    domElement.addEventListener("pointermove", this.onPointerMove);
+    domElement.addEventListener("pointerleave", this.onPointerLeave);
+    domElement.addEventListener("pointerdown", this.onPointerDown);
+    domElement.addEventListener("pointerup", this.onPointerUp);
+    domElement.addEventListener("click", this.onClick);
+    domElement.addEventListener("dblclick", this.onDblClick);
+  }
+
+  /**
+   * 设置可拾取的模型
+   * @param {Array<Object>} models - 模型信息数组 [{ model, modelName }]
+   */
+  setTargets(models = []) {
+    this.targets = models.filter(({ model }) => !!model);
+    this.setHovered(null);
+    this.select(null);
+  }
+
+  /**
+   * 启用/禁用拾取，禁用时清除悬停和选中状态
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.config.enabled = !!enabled;
+    if (!this.config.enabled) {
+      this.setHovered(null);
+      this.select(null);
+    }
+  }
+
+  /**
+   * 每帧调用，处理待检测的悬停
+   */
+  update() {
+    if (!this.pointerDirty) return;
+    this.pointerDirty = false;
+
+    if (!this.config.enabled || !this.pointerInside) {
+      this.setHovered(null);
+      return;
+    }
+    this.setHovered(this.intersect());
+  }
+
+  /**
+   * 更新指针的标准化设备坐标
+   * @param {PointerEvent|MouseEvent} event - 指针事件
+   */
+  updatePointer(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+  }
+
+  handlePointerMove(event) {
+    this.updatePointer(event);
+    this.pointerInside = true;
+    this.pointerDirty = true;
+  }
+
+  handlePointerLeave() {
+    this.pointerInside = false;
+    this.pointerDirty = true;
+  }
+
+  handlePointerDown(event) {
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * 识别右键双击（右键拖拽平移相机时不计入）
+   * @param {PointerEvent} event - 指针事件
+   */
+  handlePointerUp(event) {
+    if (!this.config.enabled || event.button !== 2 || this.isDrag(event)) {
+      return;
+    }
+
+    const now = performance.now();
+    if (now - this.lastRightClickTime <= this.config.dblClickInterval) {
+      this.lastRightClickTime = 0;
+      this.dispatchEvent({ type: "rightdblclick" });
+    } else {
+      this.lastRightClickTime = now;
+    }
+  }
+
+  /**
+   * 按下到抬起之间移动超过阈值时视为拖拽（旋转/平移相机），不触发点击
+   * @param {MouseEvent} event - 鼠标事件
+   */
+  isDrag(event) {
+    if (!this.pointerDown) return false;
+    const dx = event.clientX - this.pointerDown.x;
+    const dy = event.clientY - this.pointerDown.y;
+    return Math.hypot(dx, dy) > this.config.dragThreshold;
+  }
+
+  /**
+   * 单击：在双击间隔内没有再次点击时才选中并派发 click，避免双击时先切换两次选中状态
+   * @param {MouseEvent} event - 鼠标事件
+   */
+  handleClick(event) {
+    if (!this.config.enabled || event.button !== 0 || this.isDrag(event)) {
+      return;
+    }
+
+    this.cancelPendingClick();
+    // 双击中的第二次单击由 dblclick 处理
+    if (event.detail > 1) return;
+
+    this.updatePointer(event);
+    const hit = this.intersect();
+    this.pendingClick = setTimeout(() => {
+      this.pendingClick = null;
+      this.select(hit);
+      this.dispatchEvent({ type: "click", ...this.toEventData(hit) });
+    }, this.config.dblClickInterval);
+  }
+
+  /**
+   * 双击：取消等待中的单击，选中双击的物体（已选中时保持选中）并派发 dblclick
+   * @param {MouseEvent} event - 鼠标事件
+   */
+  handleDblClick(event) {
+    if (!this.config.enabled || event.button !== 0) return;
+
+    this.cancelPendingClick();
+    this.updatePointer(event);
+    const hit = this.intersect();
+    this.select(hit, { toggle: false });
+    this.dispatchEvent({ type: "dblclick", ...this.toEventData(hit) });
+  }
+
+  /**
+   * 取消等待中的单击
+   */
+  cancelPendingClick() {
+    if (this.pendingClick !== null) {
+      clearTimeout(this.pendingClick);
+      this.pendingClick = null;
+    }
+  }
+
+  /**
+   * 对可见的模型做射线检测
+   * @param {THREE.Vector2} pointer - 标准化设备坐标，默认使用当前指针位置
+   * @returns {Object|null} 命中信息 { object, mesh, modelName, point }
+   */
+  intersect(pointer = this.pointer) {
+    if (!this.camera) return null;
+
+    this.raycaster.setFromCamera(pointer, this.camera);
+
+    const hits = [];
+    this.targets.forEach(({ model, modelName }) => {
+      if (!model.visible) return;
+      this.raycaster.intersectObject(model, true).forEach((intersection) => {
+        hits.push({ intersection, model, modelName });
+      });
+    });
+    hits.sort((a, b) => a.intersection.distance - b.intersection.distance);
+
+    // 射线检测不考虑 visible，需要跳过隐藏的网格
+    const hit = hits.find(
+      ({ intersection, model }) =>
+        intersection.object.isMesh && this.isVisible(intersection.object, model)
+    );
+    if (!hit) return null;
+
+    const { intersection, model, modelName } = hit;
+    return {
+      object: this.resolveTarget(intersection.object, model),
+      mesh: intersection.object,
+      modelName,
+      point: intersection.point.clone(),
+    };
+  }
+
+  /**
+   * 判断物体及其到模型根节点的所有父级是否可见
+   * @param {THREE.Object3D} object - 物体
+   * @param {THREE.Object3D} root - 模型根节点
+   */
+  isVisible(object, root) {
+    let current = object;
+    while (current) {
+      if (!current.visible) return false;
+      if (current === root) return true;
+      current = current.parent;
+    }
+    return true;
+  }
+
+  /**
+   * 从命中的网格向上查找有意义的节点
+   * 配置了 selectableNames 时取第一个匹配的节点；否则取最近的具名节点，
+   * 多材质网格拆分出的图元（父级组只包含网格）归到父级组
+   * @param {THREE.Mesh} mesh - 命中的网格
+   * @param {THREE.Object3D} root - 模型根节点
+   * @returns {THREE.Object3D} 目标节点
+   */
+  resolveTarget(mesh, root) {
+    const { selectableNames } = this.config;
+
+    if (selectableNames && selectableNames.length > 0) {
+      let current = mesh;
+      while (current && current !== root) {
+        if (this.matchesSelectableName(current.name)) return current;
+        current = current.parent;
+      }
+      return this.matchesSelectableName(root.name) ? root : mesh;
+    }
+
+    let current = mesh;
+    const parent = mesh.parent;
+    if (
+      parent &&
+      parent !== root &&
+      parent.isGroup &&
+      parent.children.every((child) => child.isMesh && child.children.length === 0)
+    ) {
+      current = parent;
+    }
+    while (current !== root && !current.name && current.parent) {
+      current = current.parent;
+    }
+    return current;
+  }
+
+  /**
+   * 节点名称是否在 selectableNames 中（字符串精确匹配或正则）
+   * @param {string} name - 节点名称
+   */
+  matchesSelectableName(name) {
+    if (!name) return false;
+    return this.config.selectableNames.some((pattern) =>
+      pattern instanceof RegExp ? pattern.test(name) : pattern === name
+    );
+  }
+
+  /**
+   * 设置悬停物体，变化时更新高亮并派发 hover 事件
+   * @param {Object|null} hit - 命中信息
+   */
+  setHovered(hit) {
+    const previous = this.hovered ? this.hovered.object : null;
+    const next = hit ? hit.object : null;
+    this.hovered = hit;
+    if (previous === next) return;
+
+    if (this.domElement) {
+      this.domElement.style.cursor = next ? "pointer" : "";
+    }
+    this.refreshHighlights();
+    this.dispatchEvent({ type: "hover", ...this.toEventData(hit) });
+  }
+
+  /**
+   * 选中物体（再次选中同一物体或传入 null 时取消选中）
+   * @param {Object|null} hit - 命中信息，也可以传入 { object, modelName }
+   * @param {Object} options - 配置选项
+   * @param {boolean} options.toggle - 再次选中同一物体时是否取消选中，为 false 时保持选中
+   */
+  select(hit, options = {}) {
+    const { toggle = true } = options;
+    const previous = this.selected ? this.selected.object : null;
+    if (!toggle && hit && hit.object === previous) return;
+
+    const next = hit && hit.object !== previous ? hit : null;
+    if (!previous && !next) return;
+
+    this.selected = next;
+    this.refreshHighlights();
+    this.dispatchEvent({ type: "select", ...this.toEventData(next) });
+  }
+
+  /**
+   * 获取当前选中的物体
+   * @returns {Object|null} { object, mesh, modelName, point }
+   */
+  getSelected() {
+    return this.selected;
+  }
+
+  /**
+   * 按当前悬停和选中状态重新应用高亮（选中优先于悬停）
+   */
+  refreshHighlights() {
+    const { mode, hoverChannel, selectChannel, hoverColor, selectColor } =
+      this.config.highlight;
+    const hovered = this.hovered ? this.hovered.object : null;
+    const selected = this.selected ? this.selected.object : null;
+
+    this.restoreMaterials();
+    if (this.postProcessingManager) {
+      this.postProcessingManager.clearOutlineAll(hoverChannel);
+      this.postProcessingManager.clearOutlineAll(selectChannel);
+    }
+
+    if (mode === "emissive") {
+      if (selected) this.applyEmissive(selected, selectColor);
+      if (hovered && hovered !== selected) this.applyEmissive(hovered, hoverColor);
+    } else if (this.postProcessingManager) {
+      if (selected) this.postProcessingManager.addOutline(selected, selectChannel);
+      if (hovered && hovered !== selected) {
+        this.postProcessingManager.addOutline(hovered, hoverChannel);
+      }
+    }
+  }
+
+  /**
+   * 自发光高亮：为物体下的网格替换带自发光颜色的材质副本，避免影响共用材质的其他网格
+   * @param {THREE.Object3D} object - 物体
+   * @param {number} color - 自发光颜色
+   */
+  applyEmissive(object, color) {
+    const { emissiveIntensity } = this.config.highlight;
+
+    object.traverse((child) => {
+      if (!child.isMesh || this.originalMaterials.has(child)) return;
+
+      const original = child.material;
+      const materials = Array.isArray(original) ? original : [original];
+      if (!materials.some((material) => material && material.emissive)) return;
+
+      const tinted = materials.map((material) => {
+        if (!material || !material.emissive) return material;
+        const clone = material.clone();
+        clone.emissive.set(color);
+        clone.emissiveIntensity = emissiveIntensity;
+        return clone;
+      });
+      this.originalMaterials.set(child, original);
+      child.material = Array.isArray(original) ? tinted : tinted[0];
+    });
+  }
+
+  /**
+   * 恢复自发光高亮替换的材质并释放材质副本
+   */
+  restoreMaterials() {
+    this.originalMaterials.forEach((original, mesh) => {
+      const tinted = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+      const originals = Array.isArray(original) ? original : [original];
+      tinted.forEach((material) => {
+        if (material && !originals.includes(material)) material.dispose();
+      });
+      mesh.material = original;
+    });
+    this.originalMaterials.clear();
+  }
+
+  /**
+   * 转换为事件数据
+   * @param {Object|null} hit - 命中信息
+   */
+  toEventData(hit) {
+    return {
+      object: hit ? hit.object : null,
+      mesh: hit ? hit.mesh || null : null,
+      modelName: hit ? hit.modelName || null : null,
+      point: hit && hit.point ? hit.point : null,
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.cancelPendingClick();
+    if (this.domElement) {
+      this.domElement.removeEventListener("pointermove", this.onPointerMove);
+      this.domElement.removeEventListener("pointerleave", this.onPointerLeave);
+      this.domElement.removeEventListener("pointerdown", this.onPointerDown);
+      this.domElement.removeEventListener("pointerup", this.onPointerUp);
+      this.domElement.removeEventListener("click", this.onClick);
+      this.domElement.removeEventListener("dblclick", this.onDblClick);
+      this.domElement.style.cursor = "";
+    }
+    this.restoreMaterials();
+    if (this.postProcessingManager) {
+      const { hoverChannel, selectChannel } = this.config.highlight;
+      this.postProcessingManager.clearOutlineAll(hoverChannel);
+      this.postProcessingManager.clearOutlineAll(selectChannel);
+    }
+    this.targets = [];
+    this.hovered = null;
+    this.selected = null;
+  }
+}
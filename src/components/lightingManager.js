@@ -1,5 +1,16 @@
 import * as THREE from "three";
-import { lightConfig, getEnabledLights, getLightConfig } from "../assets/lightConfig.js";
+import { RectAreaLightUniformsLib } from "three/examples/jsm/lights/RectAreaLightUniformsLib.js";
+import { LightProbeGenerator } from "three/examples/jsm/lights/LightProbeGenerator.js";
+import { Tween, Group, Easing } from "@tweenjs/tween.js";
+import {
+  lightConfig,
+  getEnabledLights,
+  getLightConfig,
+  getLightingPreset,
+} from "../assets/lightConfig.js";
+
+// RectAreaLight 所需的 LTC 数据只需初始化一次
+let rectAreaUniformsInitialized = false;
 
 /**
  * 灯光管理器
@@ -9,14 +20,21 @@ export class LightingManager {
   constructor() {
     this.lights = new Map();
     this.scene = null;
+    this.renderer = null;
+    this.tweenGroup = new Group();
+    this.transition = null;
+    this.placement = null;
+    this.currentPreset = null;
   }
 
   /**
    * 初始化灯光管理器
    * @param {THREE.Scene} scene - 场景对象
+   * @param {THREE.WebGLRenderer} renderer - 渲染器（生成光照探针时需要）
    */
-  init(scene) {
+  init(scene, renderer = null) {
     this.scene = scene;
+    this.renderer = renderer;
   }
 
   /**
@@ -74,6 +92,12 @@ export class LightingManager {
       case 'hemisphere':
         light = this.createHemisphereLight(lightData);
         break;
+      case 'rectArea':
+        light = this.createRectAreaLight(lightData);
+        break;
+      case 'lightProbe':
+        light = this.createLightProbe(lightData);
+        break;
       default:
         console.warn(`未知的灯光类型: ${type}`);
         return null;
@@ -314,6 +338,112 @@ export class LightingManager {
     return hemisphereLight;
   }
 
+  /**
+   * 创建矩形区域光（首次创建时自动初始化 RectAreaLightUniformsLib）
+   * 仅对 MeshStandardMaterial / MeshPhysicalMaterial 生效，不支持阴影
+   * @param {Object} options - 区域光配置
+   * @param {THREE.Vector3} options.position - 灯光位置
+   * @param {THREE.Vector3} options.target - 灯光朝向的目标点
+   * @param {number} options.color - 灯光颜色
+   * @param {number} options.intensity - 灯光强度
+   * @param {number} options.width - 发光面宽度
+   * @param {number} options.height - 发光面高度
+   */
+  createRectAreaLight(options = {}) {
+    const {
+      position = new THREE.Vector3(0, 5, 0),
+      target = new THREE.Vector3(0, 0, 0),
+      color = 0xffffff,
+      intensity = 1.0,
+      width = 10,
+      height = 10,
+    } = options;
+
+    if (!rectAreaUniformsInitialized) {
+      RectAreaLightUniformsLib.init();
+      rectAreaUniformsInitialized = true;
+    }
+
+    const rectAreaLight = new THREE.RectAreaLight(color, intensity, width, height);
+
+    // 设置位置
+    if (position) {
+      rectAreaLight.position.set(position.x, position.y, position.z);
+    }
+
+    // 区域光没有 target 属性，通过 lookAt 设置朝向，并记录目标点用于导出配置
+    if (target) {
+      rectAreaLight.lookAt(target.x, target.y, target.z);
+      rectAreaLight.userData.target = { x: target.x, y: target.y, z: target.z };
+    }
+
+    this.scene.add(rectAreaLight);
+    return rectAreaLight;
+  }
+
+  /**
+   * 创建光照探针，球谐系数由当前 scene.environment 生成
+   * 环境贴图尚未加载时先创建空探针，环境变化后调用 updateLightProbes 重新生成
+   * @param {Object} options - 探针配置
+   * @param {number} options.intensity - 探针强度
+   * @param {number} options.resolution - 生成球谐系数时采样的立方体贴图尺寸
+   */
+  createLightProbe(options = {}) {
+    const { intensity = 1.0, resolution = 32 } = options;
+
+    const lightProbe = new THREE.LightProbe(undefined, intensity);
+    lightProbe.userData.resolution = resolution;
+
+    this.scene.add(lightProbe);
+    this.updateLightProbe(lightProbe);
+    return lightProbe;
+  }
+
+  /**
+   * 根据当前 scene.environment 重新生成光照探针
+   * @param {THREE.LightProbe} lightProbe - 光照探针
+   * @returns {Promise<boolean>} 是否生成成功
+   */
+  async updateLightProbe(lightProbe) {
+    const environment = this.scene && this.scene.environment;
+    if (!environment || !this.renderer) {
+      return false;
+    }
+
+    // 将环境贴图（等距柱状或 PMREM）作为背景渲染到立方体贴图中再采样
+    const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(
+      lightProbe.userData.resolution || 32,
+      { type: THREE.HalfFloatType }
+    );
+    const cubeCamera = new THREE.CubeCamera(0.1, 10, cubeRenderTarget);
+    const captureScene = new THREE.Scene();
+    captureScene.background = environment;
+
+    try {
+      cubeCamera.update(this.renderer, captureScene);
+      const generated = await LightProbeGenerator.fromCubeRenderTarget(
+        this.renderer,
+        cubeRenderTarget
+      );
+      lightProbe.sh.copy(generated.sh);
+      return true;
+    } catch (error) {
+      console.error("光照探针生成失败:", error);
+      return false;
+    } finally {
+      cubeRenderTarget.dispose();
+    }
+  }
+
+  /**
+   * 重新生成所有光照探针（环境贴图变化后调用）
+   * @returns {Promise<Array<boolean>>} 各探针是否生成成功
+   */
+  updateLightProbes() {
+    const probes = this.getAllLights().filter((light) => light.isLightProbe);
+    return Promise.all(probes.map((probe) => this.updateLightProbe(probe)));
+  }
+
   /**
    * 创建主要平行光（保持向后兼容）
    * @param {Object} options - 平行光配置
@@ -468,9 +598,9 @@ export class LightingManager {
   }
 
   /**
-   * 更新灯光配置
+   * 更新灯光配置（原地修改，不重新创建灯光）
    * @param {string} name - 灯光名称
-   * @param {Object} newConfig - 新的配置参数
+   * @param {Object} newConfig - 新的配置参数，字段与 createLightFromConfig 一致
    */
   updateLightConfig(name, newConfig) {
     const light = this.lights.get(name);
@@ -479,15 +609,26 @@ export class LightingManager {
       return;
     }
 
+    // 更新启用状态
+    if (newConfig.enabled !== undefined) {
+      light.visible = newConfig.enabled;
+    }
+
     // 更新强度
     if (newConfig.intensity !== undefined) {
       light.intensity = newConfig.intensity;
     }
 
-    // 更新颜色
+    // 更新颜色（半球光的 skyColor 对应 light.color）
     if (newConfig.color !== undefined) {
       light.color.setHex(newConfig.color);
     }
+    if (newConfig.skyColor !== undefined && light.isHemisphereLight) {
+      light.color.setHex(newConfig.skyColor);
+    }
+    if (newConfig.groundColor !== undefined && light.groundColor) {
+      light.groundColor.setHex(newConfig.groundColor);
+    }
 
     // 更新位置
     if (newConfig.position !== undefined) {
@@ -499,22 +640,488 @@ export class LightingManager {
       light.target.position.set(newConfig.target.x, newConfig.target.y, newConfig.target.z);
     }
 
+    // 区域光通过 lookAt 设置朝向，位置变化后也需要重新朝向目标点
+    if (light.isRectAreaLight) {
+      const target = newConfig.target || light.userData.target;
+      if (target) {
+        light.lookAt(target.x, target.y, target.z);
+        light.userData.target = { x: target.x, y: target.y, z: target.z };
+      }
+      if (newConfig.width !== undefined) light.width = newConfig.width;
+      if (newConfig.height !== undefined) light.height = newConfig.height;
+    }
+
+    // 更新点光源/聚光灯参数
+    ["distance", "decay", "angle", "penumbra"].forEach((key) => {
+      if (newConfig[key] !== undefined && light[key] !== undefined) {
+        light[key] = newConfig[key];
+      }
+    });
+
     // 更新阴影设置
     if (newConfig.castShadow !== undefined && light.castShadow !== undefined) {
       light.castShadow = newConfig.castShadow;
     }
+    if (newConfig.shadow !== undefined && light.shadow) {
+      this.updateShadowConfig(light, newConfig.shadow);
+    }
   }
 
   /**
-   * 清理所有灯光
+   * 更新阴影参数
+   * @param {THREE.Light} light - 灯光对象
+   * @param {Object} shadow - 阴影配置，字段同 createDirectionalLight 的 shadow
    */
-  dispose() {
-    this.lights.forEach((light) => {
-      if (light.target) {
-        this.scene.remove(light.target);
+  updateShadowConfig(light, shadow) {
+    const shadowCamera = light.shadow.camera;
+
+    // 阴影贴图尺寸变化时释放旧的贴图，渲染时按新尺寸重新创建
+    if (shadow.mapSize !== undefined && shadow.mapSize !== light.shadow.mapSize.width) {
+      light.shadow.mapSize.set(shadow.mapSize, shadow.mapSize);
+      if (light.shadow.map) {
+        light.shadow.map.dispose();
+        light.shadow.map = null;
+      }
+    }
+
+    ["near", "far", "left", "right", "top", "bottom"].forEach((key) => {
+      if (shadow[key] !== undefined && shadowCamera[key] !== undefined) {
+        shadowCamera[key] = shadow[key];
+      }
+    });
+    shadowCamera.updateProjectionMatrix();
+
+    if (shadow.bias !== undefined) {
+      light.shadow.bias = shadow.bias;
+    }
+    if (shadow.normalBias !== undefined) {
+      light.shadow.normalBias = shadow.normalBias;
+    }
+  }
+
+  /**
+   * 获取灯光类型（与配置文件中的 type 一致）
+   * @param {THREE.Light} light - 灯光对象
+   * @returns {string|null} 灯光类型
+   */
+  getLightType(light) {
+    if (light.isAmbientLight) return "ambient";
+    if (light.isDirectionalLight) return "directional";
+    if (light.isPointLight) return "point";
+    if (light.isSpotLight) return "spot";
+    if (light.isHemisphereLight) return "hemisphere";
+    if (light.isRectAreaLight) return "rectArea";
+    if (light.isLightProbe) return "lightProbe";
+    return null;
+  }
+
+  /**
+   * 将当前所有灯光导出为 lightConfig.js 的配置格式
+   * 导出结果可直接传给 loadFromConfig / applyConfig
+   * @returns {Array} 灯光配置数组
+   */
+  toConfig() {
+    const round = (value) => Number(value.toFixed(3));
+    const toObject = (vector) => ({
+      x: round(vector.x),
+      y: round(vector.y),
+      z: round(vector.z),
+    });
+
+    return Array.from(this.lights.entries()).map(([name, light]) => {
+      const type = this.getLightType(light);
+      const config = { type, name };
+
+      if (type === "hemisphere") {
+        config.position = toObject(light.position);
+        config.skyColor = light.color.getHex();
+        config.groundColor = light.groundColor.getHex();
+      } else if (type !== "lightProbe") {
+        if (type !== "ambient") {
+          config.position = toObject(light.position);
+        }
+        if (light.target) {
+          config.target = toObject(light.target.position);
+        } else if (light.userData.target) {
+          config.target = { ...light.userData.target };
+        }
+        config.color = light.color.getHex();
       }
-      this.scene.remove(light);
+
+      config.intensity = round(light.intensity);
+
+      if (type === "rectArea") {
+        config.width = round(light.width);
+        config.height = round(light.height);
+      }
+      if (type === "lightProbe") {
+        config.resolution = light.userData.resolution;
+      }
+
+      if (type === "point" || type === "spot") {
+        config.distance = round(light.distance);
+        if (type === "spot") {
+          config.angle = round(light.angle);
+          config.penumbra = round(light.penumbra);
+        }
+        config.decay = round(light.decay);
+      }
+
+      config.enabled = light.visible;
+
+      if (light.shadow) {
+        config.castShadow = light.castShadow;
+        if (light.castShadow) {
+          const shadowCamera = light.shadow.camera;
+          config.shadow = {
+            mapSize: light.shadow.mapSize.width,
+            near: round(shadowCamera.near),
+            far: round(shadowCamera.far),
+          };
+          // 只有平行光的阴影相机为正交相机
+          if (shadowCamera.isOrthographicCamera) {
+            config.shadow.left = round(shadowCamera.left);
+            config.shadow.right = round(shadowCamera.right);
+            config.shadow.top = round(shadowCamera.top);
+            config.shadow.bottom = round(shadowCamera.bottom);
+          }
+          config.shadow.bias = light.shadow.bias;
+          config.shadow.normalBias = light.shadow.normalBias;
+        }
+      }
+
+      return config;
     });
-    this.lights.clear();
+  }
+
+  /**
+   * 将当前灯光导出为可直接粘贴到 lightConfig.js 的源码（颜色以十六进制表示）
+   * @returns {string} 源码字符串
+   */
+  toConfigSource() {
+    const colorKeys = ["color", "skyColor", "groundColor"];
+    const json = JSON.stringify(
+      this.toConfig(),
+      (key, value) =>
+        colorKeys.includes(key) && typeof value === "number"
+          ? `__HEX__${value.toString(16).padStart(6, "0")}`
+          : value,
+      2
+    );
+
+    return `export const lightConfig = ${json
+      .replace(/"__HEX__([0-9a-f]{6})"/g, "0x$1")
+      .replace(/"(\w+)":/g, "$1:")};\n`;
+  }
+
+  /**
+   * 应用新的灯光配置
+   * 与当前灯光逐个比较：同名同类型的灯光原地更新，类型变化的灯光重新创建，
+   * 新增的灯光创建，配置中不存在的灯光移除
+   * @param {Array} config - 灯光配置数组
+   * @returns {Object} 变更统计 { created, updated, removed }
+   */
+  applyConfig(config = []) {
+    if (!this.scene) {
+      throw new Error("灯光管理器未初始化，请先调用 init() 方法");
+    }
+
+    const result = { created: [], updated: [], removed: [] };
+    const names = new Set(config.map((lightData) => lightData.name));
+
+    // 移除配置中不存在的灯光
+    Array.from(this.lights.keys()).forEach((name) => {
+      if (!names.has(name)) {
+        this.removeLight(name);
+        result.removed.push(name);
+      }
+    });
+
+    config.forEach((lightData) => {
+      const { name, type, enabled = true } = lightData;
+      const light = this.lights.get(name);
+
+      if (light && this.getLightType(light) === type) {
+        this.updateLightConfig(name, { ...lightData, enabled });
+        result.updated.push(name);
+        return;
+      }
+
+      if (light) {
+        this.removeLight(name);
+      }
+      if (this.createLightFromConfig(lightData)) {
+        result.created.push(name);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 将平行光对齐到太阳方向，保持灯光到目标点的距离不变（阴影范围随之保持）
+   * @param {THREE.Vector3} direction - 指向太阳的单位向量
+   * @param {THREE.Color} color - 太阳光颜色
+   * @param {string} name - 灯光名称，默认为主平行光 main
+   * @returns {boolean} 灯光不存在或不是平行光时返回 false
+   */
+  alignToSun(direction, color, name = "main") {
+    const light = this.lights.get(name);
+    if (!light || !light.isDirectionalLight) {
+      return false;
+    }
+
+    const distance = light.position.distanceTo(light.target.position) || 1;
+    light.position
+      .copy(light.target.position)
+      .addScaledVector(direction, distance);
+    if (color) {
+      light.color.copy(color);
+    }
+    return true;
+  }
+
+  /**
+   * 设置灯光预设的摆放依据（模型中心和半径），之后 applyPreset 默认围绕模型摆放灯光
+   * @param {THREE.Vector3} center - 模型中心点
+   * @param {number} radius - 模型半径
+   * @param {THREE.Vector3} sceneOffset - 场景偏移量
+   */
+  setPlacement(center, radius, sceneOffset = new THREE.Vector3(0, 0, 0)) {
+    this.placement = { center: center.clone(), radius, sceneOffset: sceneOffset.clone() };
+  }
+
+  /**
+   * 切换灯光预设，强度和颜色在过渡时间内渐变，不重建已有灯光
+   * 预设中禁用的灯光淡出后隐藏，预设中不存在的灯光淡出后移除；新的切换会中断正在进行的过渡
+   * @param {string} name - 预设名称，见 lightConfig.js 中的 lightingPresets
+   * @param {Object} options - 切换配置
+   * @param {number} options.transitionMs - 过渡时长（毫秒），0 表示立即切换
+   * @param {THREE.Vector3} options.center - 模型中心点，默认使用 setPlacement 设置的值
+   * @param {number} options.radius - 模型半径，默认使用 setPlacement 设置的值
+   * @param {THREE.Vector3} options.sceneOffset - 场景偏移量
+   * @returns {Promise<boolean>} 过渡完成时 resolve(true)，被中断或预设不存在时 resolve(false)
+   */
+  applyPreset(name, options = {}) {
+    if (!this.scene) {
+      throw new Error("灯光管理器未初始化，请先调用 init() 方法");
+    }
+
+    const { transitionMs = 1000 } = options;
+    const placement =
+      options.center && options.radius
+        ? options
+        : this.placement || {};
+    const presetConfig = getLightingPreset(
+      name,
+      placement.center,
+      placement.radius,
+      placement.sceneOffset
+    );
+    if (!presetConfig) {
+      console.warn(`未知的灯光预设: ${name}`);
+      return Promise.resolve(false);
+    }
+
+    this.stopTransition();
+    this.currentPreset = name;
+
+    const fades = [];
+    const names = new Set(presetConfig.map((lightData) => lightData.name));
+
+    // 预设中不存在的灯光淡出后移除
+    this.lights.forEach((light, lightName) => {
+      if (!names.has(lightName)) {
+        fades.push(
+          this.createFade(light, { intensity: 0 }, () => this.removeLight(lightName))
+        );
+      }
+    });
+
+    presetConfig.forEach((lightData) => {
+      const { name: lightName, type, enabled = true, intensity = 1 } = lightData;
+      let light = this.lights.get(lightName);
+
+      // 类型不同无法渐变，直接移除后按新类型淡入
+      if (light && this.getLightType(light) !== type) {
+        this.removeLight(lightName);
+        light = null;
+      }
+
+      // 禁用的灯光淡出后隐藏，并恢复预设强度以便再次启用
+      if (!enabled) {
+        if (light && light.visible) {
+          fades.push(
+            this.createFade(light, { intensity: 0 }, () => {
+              light.visible = false;
+              light.intensity = intensity;
+            })
+          );
+        }
+        return;
+      }
+
+      // 新增的灯光从 0 强度淡入
+      if (!light) {
+        light = this.createLightFromConfig({ ...lightData, intensity: 0 });
+        if (light) {
+          fades.push(this.createFade(light, { intensity }));
+        }
+        return;
+      }
+
+      // 位置、阴影等属性直接更新，隐藏中的灯光从 0 强度淡入且颜色直接切换
+      const { color, skyColor, groundColor, intensity: _, ...rest } = lightData;
+      const wasVisible = light.visible;
+      this.updateLightConfig(lightName, rest);
+
+      const targetColor = skyColor ?? color;
+      if (!wasVisible) {
+        light.intensity = 0;
+        this.updateLightConfig(lightName, { color: targetColor, groundColor });
+        fades.push(this.createFade(light, { intensity }));
+        return;
+      }
+      fades.push(
+        this.createFade(light, { intensity, color: targetColor, groundColor })
+      );
+    });
+
+    const finish = () =>
+      fades.forEach((fade) => fade.onComplete && fade.onComplete());
+
+    if (transitionMs <= 0) {
+      fades.forEach((fade) => this.applyFade(fade, 1));
+      finish();
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const progress = { t: 0 };
+      const tween = new Tween(progress, this.tweenGroup)
+        .to({ t: 1 }, transitionMs)
+        .easing(Easing.Quadratic.InOut)
+        .onUpdate(() => {
+          fades.forEach((fade) => this.applyFade(fade, progress.t));
+        })
+        .onComplete(() => {
+          finish();
+          this.finishTransition(true);
+        })
+        .start();
+
+      this.transition = { tween, resolve };
+    });
+  }
+
+  /**
+   * 创建单个灯光的渐变描述
+   * @param {THREE.Light} light - 灯光对象
+   * @param {Object} to - 目标值 { intensity, color, groundColor }，未指定的颜色保持不变
+   * @param {Function} onComplete - 渐变结束后的回调
+   * @returns {Object} 渐变描述
+   */
+  createFade(light, to, onComplete = null) {
+    const fade = {
+      light,
+      fromIntensity: light.intensity,
+      toIntensity: to.intensity,
+      onComplete,
+    };
+
+    if (to.color !== undefined && light.color) {
+      fade.fromColor = light.color.clone();
+      fade.toColor = new THREE.Color(to.color);
+    }
+    if (to.groundColor !== undefined && light.groundColor) {
+      fade.fromGroundColor = light.groundColor.clone();
+      fade.toGroundColor = new THREE.Color(to.groundColor);
+    }
+
+    return fade;
+  }
+
+  /**
+   * 按进度应用渐变
+   * @param {Object} fade - 渐变描述
+   * @param {number} t - 进度 (0-1)
+   */
+  applyFade(fade, t) {
+    const { light } = fade;
+    light.intensity = THREE.MathUtils.lerp(fade.fromIntensity, fade.toIntensity, t);
+    if (fade.toColor) {
+      light.color.lerpColors(fade.fromColor, fade.toColor, t);
+    }
+    if (fade.toGroundColor) {
+      light.groundColor.lerpColors(fade.fromGroundColor, fade.toGroundColor, t);
+    }
+  }
+
+  /**
+   * 停止正在进行的预设过渡，灯光停留在当前的过渡状态
+   */
+  stopTransition() {
+    if (this.transition) {
+      this.transition.tween.stop();
+      this.finishTransition(false);
+    }
+  }
+
+  /**
+   * 是否正在进行预设过渡
+   */
+  isTransitioning() {
+    return this.transition !== null;
+  }
+
+  /**
+   * 结束预设过渡
+   * @param {boolean} completed - 是否正常完成
+   */
+  finishTransition(completed) {
+    const { tween, resolve } = this.transition;
+    this.tweenGroup.remove(tween);
+    this.transition = null;
+    resolve(completed);
+  }
+
+  /**
+   * 每帧更新（驱动预设过渡）
+   * @returns {boolean} 是否正在过渡
+   */
+  update() {
+    if (this.transition) {
+      this.tweenGroup.update();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 移除指定名称的灯光
+   * @param {string} name - 灯光名称
+   */
+  removeLight(name) {
+    const light = this.lights.get(name);
+    if (!light) return false;
+
+    if (light.target) {
+      this.scene.remove(light.target);
+    }
+    this.scene.remove(light);
+    // 同时释放阴影贴图
+    if (light.dispose) {
+      light.dispose();
+    }
+    this.lights.delete(name);
+    return true;
+  }
+
+  /**
+   * 清理所有灯光
+   */
+  dispose() {
+    this.stopTransition();
+    Array.from(this.lights.keys()).forEach((name) => this.removeLight(name));
   }
 }
@@ -0,0 +1,79 @@
+/**
+ * 加载遮罩
+ * 绑定 ProgressTracker，显示总体加载进度，在加载完成后的首帧渲染时隐藏
+ */
+export class LoadingOverlay {
+  /**
+   * @param {ProgressTracker} progressTracker - 加载进度追踪器
+   * @param {Object} options - 配置选项
+   * @param {string} options.elementId - 遮罩元素 id
+   */
+  constructor(progressTracker, options = {}) {
+    const { elementId = "loadingOverlay" } = options;
+
+    this.element = document.getElementById(elementId);
+    this.percentElement = document.getElementById("loadingPercent");
+    this.barElement = document.getElementById("loadingBarFill");
+    this.statusElement = document.getElementById("loadingStatus");
+    this.isReadyToHide = false;
+    this.isHidden = !this.element;
+
+    progressTracker.addEventListener("progress", ({ progress }) => {
+      this.setProgress(progress);
+    });
+    progressTracker.addEventListener("error", ({ id }) => {
+      this.setStatus(`部分资源加载失败: ${id}`);
+    });
+    progressTracker.addEventListener("complete", () => {
+      this.isReadyToHide = true;
+    });
+  }
+
+  /**
+   * 设置进度显示
+   * @param {number} progress - 进度 (0-1)
+   */
+  setProgress(progress) {
+    const percent = `${Math.round(progress * 100)}%`;
+    if (this.percentElement) {
+      this.percentElement.textContent = percent;
+    }
+    if (this.barElement) {
+      this.barElement.style.width = percent;
+    }
+  }
+
+  /**
+   * 设置状态文字
+   * @param {string} text - 状态文字
+   */
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+
+  /**
+   * 每帧渲染后调用，加载完成后的首帧隐藏遮罩
+   */
+  onFrameRendered() {
+    if (this.isReadyToHide && !this.isHidden) {
+      this.hide();
+    }
+  }
+
+  /**
+   * 隐藏遮罩
+   */
+  hide() {
+    this.isHidden = true;
+    if (this.element) {
+      this.element.classList.add("hidden");
+      this.element.addEventListener(
+        "transitionend",
+        () => this.element.remove(),
+        { once: true }
+      );
+    }
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * postMessage 通信协议版本
+ * 主版本号变化表示不兼容的协议修改
+ */
+export const MESSAGE_PROTOCOL_VERSION = 1;
+
+/**
+ * 消息错误码
+ */
+export const MessageErrorCode = {
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION",
+  UNKNOWN_COMMAND: "UNKNOWN_COMMAND",
+  INVALID_PARAMS: "INVALID_PARAMS",
+  COMMAND_FAILED: "COMMAND_FAILED",
+};
+
+/**
+ * 命令执行错误
+ * 命令处理函数抛出该错误时，code 会原样回传给宿主页面
+ */
+export class CommandError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CommandError";
+    this.code = code;
+  }
+}
+
+/**
+ * 消息桥
+ * 负责与嵌入本页面的宿主页面（iframe 父页面）通过 postMessage 通信
+ *
+ * 入站命令: { version, id, cmd, params }
+ * 命令应答: { version, type: "ack", id, cmd, result }
+ * 命令错误: { version, type: "error", id, cmd, error: { code, message } }
+ * 出站事件: { version, type: "event", event, data }
+ */
+export class MessageBridge {
+  constructor() {
+    this.handlers = new Map();
+    // 默认不接受任何来源的命令，也不发送出站事件
+    this.allowedOrigins = [];
+    this.targetOrigin = null;
+    this.target = null;
+    this.onMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * 初始化消息桥并开始监听消息
+   * @param {Object} options - 配置选项
+   * @param {Array<string>} options.allowedOrigins - 允许发送命令的来源，为空时拒绝所有命令；需要显式配置 "*" 才不校验
+   * @param {string} options.targetOrigin - 出站事件的目标来源，不指定时使用 allowedOrigins 中第一个具体来源；
+   *                                        需要显式配置 "*" 才会发送给任意嵌入页面
+   * @param {Window} options.target - 消息接收窗口，默认 window.parent
+   */
+  init(options = {}) {
+    const { allowedOrigins = [], targetOrigin = null, target = window.parent } =
+      options;
+
+    this.allowedOrigins = allowedOrigins;
+    this.targetOrigin =
+      targetOrigin || allowedOrigins.find((origin) => origin !== "*") || null;
+    this.target = target;
+
+    if (this.allowedOrigins.length === 0) {
+      console.warn("messageApi.allowedOrigins 未配置，将拒绝所有宿主页面命令");
+    }
+    if (!this.targetOrigin) {
+      console.warn("messageApi.targetOrigin 未配置，不会向宿主页面发送事件");
+    }
+
+    window.addEventListener("message", this.onMessage);
+  }
+
+  /**
+   * 注册命令处理函数
+   * @param {string} cmd - 命令名称
+   * @param {Function} handler - 处理函数 (params) => result | Promise<result>
+   */
+  register(cmd, handler) {
+    this.handlers.set(cmd, handler);
+  }
+
+  /**
+   * 批量注册命令处理函数
+   * @param {Object} handlers - 命令名称到处理函数的映射
+   */
+  registerAll(handlers) {
+    Object.entries(handlers).forEach(([cmd, handler]) => {
+      this.register(cmd, handler);
+    });
+  }
+
+  /**
+   * 获取已注册的命令列表
+   */
+  getCommands() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * 向宿主页面发送事件
+   * @param {string} event - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  emit(event, data = {}) {
+    if (!this.targetOrigin) return;
+    this.post(
+      { version: MESSAGE_PROTOCOL_VERSION, type: "event", event, data },
+      this.targetOrigin
+    );
+  }
+
+  /**
+   * 处理入站消息
+   * @param {MessageEvent} event - 消息事件
+   */
+  handleMessage(event) {
+    const message = event.data;
+    // 忽略非命令消息（例如浏览器插件或开发工具发送的消息）以及应答/事件消息
+    if (!message || typeof message !== "object" || !message.cmd || message.type) {
+      return;
+    }
+
+    if (
+      !this.allowedOrigins.includes("*") &&
+      !this.allowedOrigins.includes(event.origin)
+    ) {
+      console.warn(`拒绝来自 ${event.origin} 的消息`);
+      return;
+    }
+
+    const {
+      version = MESSAGE_PROTOCOL_VERSION,
+      id = null,
+      cmd,
+      params = {},
+    } = message;
+    const replyOrigin = event.origin && event.origin !== "null" ? event.origin : "*";
+    const reply = (body) =>
+      this.post(
+        { version: MESSAGE_PROTOCOL_VERSION, id, cmd, ...body },
+        replyOrigin,
+        event.source || this.target
+      );
+    const replyError = (code, errorMessage) =>
+      reply({ type: "error", error: { code, message: errorMessage } });
+
+    if (typeof cmd !== "string") {
+      replyError(MessageErrorCode.INVALID_MESSAGE, "cmd 必须为字符串");
+      return;
+    }
+
+    if (Math.floor(version) !== MESSAGE_PROTOCOL_VERSION) {
+      replyError(
+        MessageErrorCode.UNSUPPORTED_VERSION,
+        `不支持的协议版本: ${version}，当前版本: ${MESSAGE_PROTOCOL_VERSION}`
+      );
+      return;
+    }
+
+    const handler = this.handlers.get(cmd);
+    if (!handler) {
+      replyError(MessageErrorCode.UNKNOWN_COMMAND, `未知的命令: ${cmd}`);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => handler(params || {}))
+      .then((result) => reply({ type: "ack", result: result ?? null }))
+      .catch((error) => {
+        console.error(`命令 ${cmd} 执行失败:`, error);
+        replyError(
+          error.code || MessageErrorCode.COMMAND_FAILED,
+          error.message || String(error)
+        );
+      });
+  }
+
+  /**
+   * 发送消息
+   * @param {Object} message - 消息内容
+   * @param {string} targetOrigin - 目标来源
+   * @param {Window} target - 接收窗口，默认使用初始化时的目标窗口
+   */
+  post(message, targetOrigin, target = this.target) {
+    // 未被嵌入时 window.parent 指向自身，不发送消息
+    if (!target || target === window) return;
+
+    try {
+      target.postMessage(message, targetOrigin);
+    } catch (error) {
+      console.error("postMessage 发送失败:", error);
+    }
+  }
+
+  /**
+   * 停止监听消息
+   */
+  dispose() {
+    window.removeEventListener("message", this.onMessage);
+    this.handlers.clear();
+  }
+}
@@ -0,0 +1,350 @@
+import * as THREE from "three";
+
+/**
+ * 模型层级检查器
+ * 根据已加载模型的 gltf.scene 建立节点索引，提供节点显隐、孤立显示（隐藏其他并取景）和透明其他部件
+ * 节点 id 由模型名称和子节点索引路径组成，如 "equipment/0/3"，模型重新加载后保持不变
+ * 派发事件: change（节点显隐或孤立/透明模式变化后，数据为 getState() 的结果）
+ */
+export class ModelInspector extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.cameraManager = null;
+    this.interactionManager = null;
+    this.options = {
+      ghostOpacity: 0.15,
+      padding: 0.2,
+      duration: 800,
+    };
+    // 模型信息: [{ model, modelName }]
+    this.models = [];
+    // 节点 id -> { id, object, modelName, parentId, childIds }
+    this.nodes = new Map();
+    this.objectIds = new Map();
+    // 当前模式: { type: 'isolate' | 'ghost', id } 或 null
+    this.mode = null;
+    // 孤立模式进入前的节点显隐状态，退出时恢复
+    this.savedVisibility = new Map();
+    // 透明模式下被替换的原始材质（网格 -> 材质）和半透明材质缓存（原始材质 -> 半透明副本）
+    this.ghostedMeshes = new Map();
+    this.ghostMaterials = new Map();
+  }
+
+  /**
+   * 初始化层级检查器
+   * @param {Object} options - 配置选项
+   * @param {CameraManager} options.cameraManager - 孤立模式取景使用的相机管理器
+   * @param {InteractionManager} options.interactionManager - 交互管理器，透明模式切换时重新应用高亮
+   * @param {number} options.ghostOpacity - 透明其他部件时的不透明度系数
+   * @param {number} options.padding - 孤立模式取景留白比例
+   * @param {number} options.duration - 孤立模式相机飞行时长（毫秒）
+   */
+  init(options = {}) {
+    const { cameraManager = null, interactionManager = null, ...rest } = options;
+    this.cameraManager = cameraManager;
+    this.interactionManager = interactionManager;
+    this.options = { ...this.options, ...rest };
+  }
+
+  /**
+   * 设置已加载的模型并重建节点索引
+   * @param {Array<Object>} models - 模型信息数组 [{ model, modelName }]
+   */
+  setModels(models = []) {
+    this.clearMode({ silent: true });
+    this.models = models.filter(({ model }) => !!model);
+    this.nodes.clear();
+    this.objectIds.clear();
+    this.models.forEach(({ model, modelName }) =>
+      this.indexNode(model, modelName, modelName, null)
+    );
+    this.notifyChange();
+  }
+
+  /**
+   * 递归建立节点索引（骨骼节点不显示在层级中）
+   * @param {THREE.Object3D} object - 节点对象
+   * @param {string} id - 节点 id
+   * @param {string} modelName - 所属模型名称
+   * @param {string|null} parentId - 父节点 id
+   */
+  indexNode(object, id, modelName, parentId) {
+    const node = { id, object, modelName, parentId, childIds: [] };
+    this.nodes.set(id, node);
+    this.objectIds.set(object, id);
+
+    object.children.forEach((child, index) => {
+      if (child.isBone) return;
+      const childId = `${id}/${index}`;
+      node.childIds.push(childId);
+      this.indexNode(child, childId, modelName, id);
+    });
+  }
+
+  /**
+   * 查找节点
+   * @param {Object|string} query - 节点 id，或 { id } / { name, model }（按名称查找第一个匹配的节点）
+   * @returns {Object|null} 节点
+   */
+  findNode(query) {
+    if (typeof query === "string") {
+      return this.nodes.get(query) || null;
+    }
+    if (!query) return null;
+
+    const { id, name, model } = query;
+    if (id !== undefined) {
+      return this.nodes.get(id) || null;
+    }
+    if (name === undefined) return null;
+
+    for (const node of this.nodes.values()) {
+      if (node.object.name === name && (!model || node.modelName === model)) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取对象对应的节点 id
+   * @param {THREE.Object3D} object - 对象
+   * @returns {string|null} 节点 id
+   */
+  getNodeId(object) {
+    return this.objectIds.get(object) || null;
+  }
+
+  /**
+   * 获取层级树（数值形式，用于面板显示和与宿主页面通信）
+   * @param {string} id - 起始节点 id，不指定时返回所有模型
+   * @param {number} depth - 展开深度，不指定时展开全部
+   * @returns {Array<Object>|Object|null} 节点 { id, name, type, model, visible, children }
+   */
+  getTree(id, depth = Infinity) {
+    if (id === undefined) {
+      return this.models.map(({ modelName }) =>
+        this.serializeNode(this.nodes.get(modelName), depth)
+      );
+    }
+    const node = this.nodes.get(id);
+    return node ? this.serializeNode(node, depth) : null;
+  }
+
+  /**
+   * 序列化节点
+   * @param {Object} node - 节点
+   * @param {number} depth - 剩余展开深度
+   */
+  serializeNode(node, depth) {
+    const { id, object, modelName, childIds } = node;
+    return {
+      id,
+      name: object.name,
+      type: object.type,
+      model: modelName,
+      visible: object.visible,
+      childCount: childIds.length,
+      children:
+        depth > 0
+          ? childIds.map((childId) =>
+              this.serializeNode(this.nodes.get(childId), depth - 1)
+            )
+          : [],
+    };
+  }
+
+  /**
+   * 设置节点显隐（孤立模式下的修改在退出孤立时恢复）
+   * @param {string} id - 节点 id
+   * @param {boolean} visible - 是否可见
+   * @returns {boolean} 节点是否存在
+   */
+  setVisible(id, visible) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+
+    node.object.visible = !!visible;
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * 孤立显示节点：隐藏同模型的其他部件和其他模型，并取景到该节点
+   * @param {string} id - 节点 id
+   * @param {Object} options - 取景配置，同 cameraManager.fitToBounds 的 padding、duration
+   * @returns {Promise<boolean>} 取景飞行完成时 resolve(true)，节点不存在或被中断时 resolve(false)
+   */
+  isolate(id, options = {}) {
+    const node = this.nodes.get(id);
+    if (!node) return Promise.resolve(false);
+
+    this.clearMode({ silent: true });
+    this.nodes.forEach(({ object }) => {
+      this.savedVisibility.set(object, object.visible);
+    });
+
+    // 节点到模型根节点的路径保持可见，路径上各层的兄弟节点隐藏
+    const path = new Set();
+    let current = node;
+    while (current) {
+      path.add(current.object);
+      current.object.visible = true;
+      current = current.parentId ? this.nodes.get(current.parentId) : null;
+    }
+    this.models.forEach(({ model }) => {
+      if (!path.has(model)) model.visible = false;
+    });
+    path.forEach((object) => {
+      if (object === node.object) return;
+      object.children.forEach((child) => {
+        if (!path.has(child) && this.objectIds.has(child)) child.visible = false;
+      });
+    });
+
+    this.mode = { type: "isolate", id };
+    this.notifyChange();
+
+    if (!this.cameraManager) return Promise.resolve(true);
+    const { padding = this.options.padding, duration = this.options.duration } =
+      options;
+    return this.cameraManager.fitToBounds(node.object, { padding, duration });
+  }
+
+  /**
+   * 透明其他部件：节点以外的网格替换为半透明材质
+   * @param {string} id - 节点 id
+   * @param {Object} options - 配置选项
+   * @param {number} options.opacity - 不透明度系数，默认使用 ghostOpacity
+   * @returns {boolean} 节点是否存在
+   */
+  ghost(id, options = {}) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+
+    const { opacity = this.options.ghostOpacity } = options;
+    this.clearMode({ silent: true });
+
+    const kept = new Set();
+    node.object.traverse((child) => kept.add(child));
+
+    // 先移除交互高亮，避免高亮材质被当作原始材质保存
+    this.suspendHighlights();
+    this.models.forEach(({ model }) => {
+      model.traverse((child) => {
+        if (!child.isMesh || kept.has(child)) return;
+        this.ghostedMeshes.set(child, child.material);
+        child.material = Array.isArray(child.material)
+          ? child.material.map((material) => this.getGhostMaterial(material, opacity))
+          : this.getGhostMaterial(child.material, opacity);
+      });
+    });
+    this.resumeHighlights();
+
+    this.mode = { type: "ghost", id };
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * 获取原始材质的半透明副本（同一材质共用副本）
+   * @param {THREE.Material} material - 原始材质
+   * @param {number} opacity - 不透明度系数
+   */
+  getGhostMaterial(material, opacity) {
+    if (!material) return material;
+
+    let ghostMaterial = this.ghostMaterials.get(material);
+    if (!ghostMaterial) {
+      ghostMaterial = material.clone();
+      ghostMaterial.transparent = true;
+      ghostMaterial.opacity = material.opacity * opacity;
+      ghostMaterial.depthWrite = false;
+      this.ghostMaterials.set(material, ghostMaterial);
+    }
+    return ghostMaterial;
+  }
+
+  /**
+   * 退出孤立/透明模式，恢复节点显隐和材质
+   * @param {Object} options - 配置选项
+   * @param {boolean} options.silent - 是否不派发 change 事件
+   */
+  clearMode(options = {}) {
+    const { silent = false } = options;
+    if (!this.mode) return;
+
+    this.savedVisibility.forEach((visible, object) => {
+      object.visible = visible;
+    });
+    this.savedVisibility.clear();
+
+    if (this.ghostedMeshes.size > 0) {
+      this.suspendHighlights();
+      this.ghostedMeshes.forEach((material, mesh) => {
+        mesh.material = material;
+      });
+      this.ghostedMeshes.clear();
+      this.ghostMaterials.forEach((material) => material.dispose());
+      this.ghostMaterials.clear();
+      this.resumeHighlights();
+    }
+
+    this.mode = null;
+    if (!silent) {
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * 暂时移除交互高亮替换的材质
+   */
+  suspendHighlights() {
+    if (this.interactionManager) {
+      this.interactionManager.restoreMaterials();
+    }
+  }
+
+  /**
+   * 重新应用交互高亮
+   */
+  resumeHighlights() {
+    if (this.interactionManager) {
+      this.interactionManager.refreshHighlights();
+    }
+  }
+
+  /**
+   * 获取当前状态（数值形式，用于面板显示和与宿主页面通信）
+   * @returns {Object} { mode, nodeId, hidden }，hidden 为当前隐藏的节点 id
+   */
+  getState() {
+    const hidden = [];
+    this.nodes.forEach(({ id, object }) => {
+      if (!object.visible) hidden.push(id);
+    });
+
+    return {
+      mode: this.mode ? this.mode.type : null,
+      nodeId: this.mode ? this.mode.id : null,
+      hidden,
+    };
+  }
+
+  /**
+   * 派发 change 事件（外部修改模型显隐后也可调用以刷新面板）
+   */
+  notifyChange() {
+    this.dispatchEvent({ type: "change", state: this.getState() });
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.clearMode({ silent: true });
+    this.models = [];
+    this.nodes.clear();
+    this.objectIds.clear();
+  }
+}
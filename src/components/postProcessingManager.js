@@ -0,0 +1,447 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { OutlinePass } from "three/examples/jsm/postprocessing/OutlinePass.js";
+import { SSAOPass } from "three/examples/jsm/postprocessing/SSAOPass.js";
+import { SMAAPass } from "three/examples/jsm/postprocessing/SMAAPass.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader.js";
+import { getPostProcessingConfig } from "../assets/postProcessingConfig.js";
+
+// 辉光层，加入该层的物体参与选择性辉光
+export const BLOOM_LAYER = 1;
+
+// 将辉光结果叠加到场景渲染结果上
+const BloomMixShader = {
+  uniforms: {
+    baseTexture: { value: null },
+    bloomTexture: { value: null },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+
+    varying vec2 vUv;
+
+    void main() {
+      gl_FragColor = texture2D(baseTexture, vUv) + vec4(1.0) * texture2D(bloomTexture, vUv);
+    }
+  `,
+};
+
+/**
+ * 后处理管理器
+ * 基于 EffectComposer 组织后处理管线：场景渲染 -> SSAO -> 辉光叠加 -> 描边 -> OutputPass -> FXAA/SMAA
+ * 选择性辉光使用独立的 bloomComposer 渲染辉光层，渲染时未加入辉光层的物体临时替换为黑色材质
+ */
+export class PostProcessingManager {
+  constructor() {
+    this.scene = null;
+    this.renderer = null;
+    this.camera = null;
+    this.config = getPostProcessingConfig();
+    this.composer = null;
+    this.bloomComposer = null;
+    this.passes = {};
+    // 描边通道 -> OutlinePass
+    this.outlinePasses = new Map();
+    // 通过 addBloom 加入辉光层的物体
+    this.bloomObjects = new Set();
+    this.bloomLayer = new THREE.Layers();
+    this.bloomLayer.set(BLOOM_LAYER);
+    this.darkMaterial = new THREE.MeshBasicMaterial({
+      color: 0x000000,
+      fog: false,
+    });
+    // 渲染辉光时被替换的材质和被隐藏的物体，渲染后恢复
+    this.darkenedMaterials = new Map();
+    this.hiddenObjects = [];
+  }
+
+  /**
+   * 初始化后处理管理器
+   * @param {THREE.Scene} scene - 场景对象
+   * @param {THREE.WebGLRenderer} renderer - 渲染器
+   * @param {THREE.Camera} camera - 相机
+   * @param {Object} config - 后处理配置，默认使用 postProcessingConfig.js
+   */
+  init(scene, renderer, camera, config = {}) {
+    this.scene = scene;
+    this.renderer = renderer;
+    this.camera = camera;
+    this.config = getPostProcessingConfig(config);
+
+    this.createComposers();
+    this.applyConfig();
+  }
+
+  /**
+   * 创建主合成器和辉光合成器
+   */
+  createComposers() {
+    const { scene, renderer, camera } = this;
+    const size = renderer.getSize(new THREE.Vector2());
+
+    // 辉光合成器只渲染到离屏缓冲，结果由 bloomMix 叠加
+    this.bloomComposer = new EffectComposer(renderer);
+    this.bloomComposer.renderToScreen = false;
+    this.bloomComposer.addPass(new RenderPass(scene, camera));
+    this.passes.bloom = new UnrealBloomPass(size.clone(), 1, 0.4, 0);
+    this.bloomComposer.addPass(this.passes.bloom);
+
+    this.composer = new EffectComposer(renderer);
+    this.passes.render = new RenderPass(scene, camera);
+    this.composer.addPass(this.passes.render);
+
+    this.passes.ssao = new SSAOPass(scene, camera, size.x, size.y);
+    this.composer.addPass(this.passes.ssao);
+
+    this.passes.bloomMix = new ShaderPass(
+      new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.clone(BloomMixShader.uniforms),
+        vertexShader: BloomMixShader.vertexShader,
+        fragmentShader: BloomMixShader.fragmentShader,
+      }),
+      "baseTexture"
+    );
+    this.passes.bloomMix.material.uniforms.bloomTexture.value =
+      this.bloomComposer.renderTarget2.texture;
+    this.composer.addPass(this.passes.bloomMix);
+
+    // 色调映射和色彩空间转换，抗锯齿在其后处理 sRGB 结果
+    this.passes.output = new OutputPass();
+    this.composer.addPass(this.passes.output);
+
+    this.passes.fxaa = new ShaderPass(FXAAShader);
+    this.composer.addPass(this.passes.fxaa);
+
+    this.passes.smaa = new SMAAPass();
+    this.composer.addPass(this.passes.smaa);
+
+    this.updateFXAAResolution();
+  }
+
+  /**
+   * 按当前配置更新各效果的开关和参数
+   */
+  applyConfig() {
+    if (!this.composer) return;
+
+    const { bloom, ssao, antialias } = this.config;
+    const { passes } = this;
+
+    passes.bloom.strength = bloom.strength;
+    passes.bloom.radius = bloom.radius;
+    passes.bloom.threshold = bloom.threshold;
+
+    passes.ssao.enabled = !!ssao.enabled;
+    passes.ssao.kernelRadius = ssao.kernelRadius;
+    passes.ssao.minDistance = ssao.minDistance;
+    passes.ssao.maxDistance = ssao.maxDistance;
+
+    passes.fxaa.enabled = antialias === "fxaa";
+    passes.smaa.enabled = antialias === "smaa";
+
+    this.outlinePasses.forEach((pass, channel) =>
+      this.applyOutlineStyle(pass, channel)
+    );
+    this.updateBloomMix();
+  }
+
+  /**
+   * 获取当前配置
+   * @returns {Object} 后处理配置
+   */
+  getConfig() {
+    return getPostProcessingConfig(this.config);
+  }
+
+  /**
+   * 运行时启用/禁用整个后处理管线
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.config.enabled = !!enabled;
+  }
+
+  /**
+   * 更新单个效果的配置（与当前配置合并）
+   * @param {string} name - 效果名称: 'bloom' | 'outline' | 'ssao' | 'antialias'
+   * @param {Object|string} params - 效果参数；抗锯齿传入方式名称
+   * @returns {boolean} 效果名称是否有效
+   */
+  updateEffect(name, params = {}) {
+    if (name === "antialias") {
+      this.config.antialias = params;
+    } else if (["bloom", "outline", "ssao"].includes(name)) {
+      this.config[name] = { ...this.config[name], ...params };
+    } else {
+      console.warn(`未知的后处理效果: ${name}`);
+      return false;
+    }
+
+    this.applyConfig();
+    return true;
+  }
+
+  /**
+   * 启用/禁用单个效果
+   * @param {string} name - 效果名称: 'bloom' | 'outline' | 'ssao'
+   * @param {boolean} enabled - 是否启用
+   * @returns {boolean} 效果名称是否有效
+   */
+  setEffectEnabled(name, enabled) {
+    return this.updateEffect(name, { enabled: !!enabled });
+  }
+
+  /**
+   * 将物体及其子物体加入辉光层
+   * @param {THREE.Object3D} object - 物体
+   */
+  addBloom(object) {
+    if (!object) return;
+    object.traverse((child) => child.layers.enable(BLOOM_LAYER));
+    this.bloomObjects.add(object);
+    this.updateBloomMix();
+  }
+
+  /**
+   * 将物体及其子物体移出辉光层
+   * @param {THREE.Object3D} object - 物体
+   */
+  removeBloom(object) {
+    if (!object) return;
+    object.traverse((child) => child.layers.disable(BLOOM_LAYER));
+    this.bloomObjects.delete(object);
+    this.updateBloomMix();
+  }
+
+  /**
+   * 将名称在 bloom.objectNames 中的物体加入辉光层（模型加载完成后调用）
+   * @param {THREE.Object3D} root - 查找范围
+   * @returns {number} 加入辉光层的物体数量
+   */
+  applyBloomSelection(root = this.scene) {
+    const names = this.config.bloom.objectNames || [];
+    if (!root || names.length === 0) return 0;
+
+    const matched = [];
+    root.traverse((object) => {
+      if (object.name && names.includes(object.name)) {
+        matched.push(object);
+      }
+    });
+    matched.forEach((object) => this.addBloom(object));
+    return matched.length;
+  }
+
+  /**
+   * 没有辉光物体时跳过辉光渲染
+   */
+  updateBloomMix() {
+    if (!this.passes.bloomMix) return;
+    this.passes.bloomMix.enabled =
+      !!this.config.bloom.enabled && this.bloomObjects.size > 0;
+  }
+
+  /**
+   * 获取指定通道的描边 Pass，不存在时创建并插入到 OutputPass 之前
+   * @param {number} channel - 描边通道
+   * @returns {OutlinePass|null} 描边 Pass
+   */
+  getOutlinePass(channel = 0) {
+    if (!this.composer) return null;
+
+    let pass = this.outlinePasses.get(channel);
+    if (!pass) {
+      const size = this.renderer.getSize(new THREE.Vector2());
+      pass = new OutlinePass(size, this.scene, this.camera);
+      this.composer.insertPass(
+        pass,
+        this.composer.passes.indexOf(this.passes.output)
+      );
+      this.outlinePasses.set(channel, pass);
+      this.applyOutlineStyle(pass, channel);
+    }
+    return pass;
+  }
+
+  /**
+   * 应用描边样式（通道配置覆盖通用配置）
+   * @param {OutlinePass} pass - 描边 Pass
+   * @param {number} channel - 描边通道
+   */
+  applyOutlineStyle(pass, channel) {
+    const { channels = {}, ...base } = this.config.outline;
+    const style = { ...base, ...(channels[channel] || {}) };
+
+    pass.edgeStrength = style.edgeStrength;
+    pass.edgeGlow = style.edgeGlow;
+    pass.edgeThickness = style.edgeThickness;
+    pass.pulsePeriod = style.pulsePeriod;
+    pass.visibleEdgeColor.set(style.visibleEdgeColor);
+    pass.hiddenEdgeColor.set(style.hiddenEdgeColor);
+    pass.enabled = !!base.enabled && pass.selectedObjects.length > 0;
+  }
+
+  /**
+   * 为物体添加描边
+   * @param {THREE.Object3D} object - 物体
+   * @param {number} channel - 描边通道，不同通道可使用不同样式
+   */
+  addOutline(object, channel = 0) {
+    const pass = this.getOutlinePass(channel);
+    if (!pass || !object || pass.selectedObjects.includes(object)) return;
+
+    pass.selectedObjects.push(object);
+    this.applyOutlineStyle(pass, channel);
+  }
+
+  /**
+   * 移除物体的描边
+   * @param {THREE.Object3D} object - 物体
+   * @param {number} channel - 描边通道
+   */
+  removeOutline(object, channel = 0) {
+    const pass = this.outlinePasses.get(channel);
+    if (!pass) return;
+
+    pass.selectedObjects = pass.selectedObjects.filter(
+      (item) => item !== object
+    );
+    this.applyOutlineStyle(pass, channel);
+  }
+
+  /**
+   * 清除描边
+   * @param {number} channel - 描边通道，不指定时清除所有通道
+   */
+  clearOutlineAll(channel) {
+    this.outlinePasses.forEach((pass, key) => {
+      if (channel === undefined || key === channel) {
+        pass.selectedObjects = [];
+        pass.enabled = false;
+      }
+    });
+  }
+
+  /**
+   * 是否有随时间变化的效果（描边脉冲），按需渲染时用于判断是否需要继续渲染
+   */
+  isAnimating() {
+    if (!this.config.enabled || !this.composer) return false;
+    return Array.from(this.outlinePasses.values()).some(
+      (pass) =>
+        pass.enabled && pass.pulsePeriod > 0 && pass.selectedObjects.length > 0
+    );
+  }
+
+  /**
+   * 更新尺寸（由 SceneManager.resize 调用）
+   * @param {number} width - 新宽度
+   * @param {number} height - 新高度
+   */
+  setSize(width, height) {
+    if (!this.composer) return;
+
+    const pixelRatio = this.renderer.getPixelRatio();
+    this.composer.setPixelRatio(pixelRatio);
+    this.bloomComposer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+    this.bloomComposer.setSize(width, height);
+    this.updateFXAAResolution();
+  }
+
+  /**
+   * FXAA 需要以设备像素为单位的分辨率
+   */
+  updateFXAAResolution() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.passes.fxaa.material.uniforms.resolution.value.set(
+      1 / size.x,
+      1 / size.y
+    );
+  }
+
+  /**
+   * 渲染一帧，后处理未启用时直接渲染场景
+   */
+  render() {
+    if (!this.renderer || !this.scene || !this.camera) return;
+
+    if (!this.config.enabled || !this.composer) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    if (this.passes.bloomMix.enabled) {
+      this.renderBloom();
+    }
+    this.composer.render();
+  }
+
+  /**
+   * 渲染辉光层：背景置空，非辉光物体替换为黑色材质以保留遮挡，透明物体和非网格物体隐藏
+   */
+  renderBloom() {
+    const background = this.scene.background;
+    this.scene.background = null;
+
+    this.scene.traverseVisible((object) => {
+      if (!object.material || object.layers.test(this.bloomLayer)) return;
+
+      const materials = Array.isArray(object.material)
+        ? object.material
+        : [object.material];
+      if (object.isMesh && !materials.some((material) => material.transparent)) {
+        this.darkenedMaterials.set(object, object.material);
+        object.material = this.darkMaterial;
+      } else {
+        this.hiddenObjects.push(object);
+      }
+    });
+    this.hiddenObjects.forEach((object) => {
+      object.visible = false;
+    });
+
+    this.bloomComposer.render();
+
+    this.darkenedMaterials.forEach((material, object) => {
+      object.material = material;
+    });
+    this.darkenedMaterials.clear();
+    this.hiddenObjects.forEach((object) => {
+      object.visible = true;
+    });
+    this.hiddenObjects = [];
+    this.scene.background = background;
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.outlinePasses.forEach((pass) => pass.dispose());
+    this.outlinePasses.clear();
+    Object.values(this.passes).forEach((pass) => pass.dispose());
+    this.passes = {};
+    if (this.composer) {
+      this.composer.dispose();
+      this.bloomComposer.dispose();
+      this.composer = null;
+      this.bloomComposer = null;
+    }
+    this.bloomObjects.clear();
+    this.darkMaterial.dispose();
+  }
+}
@@ -0,0 +1,186 @@
+import * as THREE from "three";
+
+// 各类加载任务的默认权重
+const DEFAULT_WEIGHTS = {
+  model: 3,
+  environment: 2,
+  texture: 1,
+};
+
+/**
+ * 加载进度追踪器
+ * 汇总模型、环境贴图和纹理的加载进度，按权重计算总体百分比
+ * 派发事件: start / progress / complete / error
+ */
+export class ProgressTracker extends THREE.EventDispatcher {
+  constructor() {
+    super();
+    this.tasks = new Map();
+    this.isLoading = false;
+  }
+
+  /**
+   * 注册加载任务
+   * 上一轮加载已全部结束时先清空旧任务，开始新一轮加载；
+   * 重复注册未结束的任务时返回已有任务，已结束的任务重新开始计算进度
+   * @param {string} id - 任务标识，如 "model:equipment"
+   * @param {Object} options - 任务配置
+   * @param {string} options.type - 任务类型: 'model' | 'environment' | 'texture'
+   * @param {number} options.weight - 任务权重，默认按类型取值
+   * @returns {Object} 任务对象
+   */
+  register(id, options = {}) {
+    if (!this.isLoading) {
+      this.reset();
+    }
+
+    let task = this.tasks.get(id);
+    if (task && !task.done) {
+      return task;
+    }
+
+    const { type = task?.type ?? "texture" } = options;
+    const { weight = task?.weight ?? DEFAULT_WEIGHTS[type] ?? 1 } = options;
+    task = { id, type, weight, progress: 0, done: false, errors: [] };
+    this.tasks.set(id, task);
+
+    if (!this.isLoading) {
+      this.isLoading = true;
+      this.dispatchEvent({ type: "start", id });
+    }
+
+    this.emitProgress(id);
+    return task;
+  }
+
+  /**
+   * 获取任务，不存在时注册（已结束的任务不会重新开始）
+   * @param {string} id - 任务标识
+   * @returns {Object} 任务对象
+   */
+  getTask(id) {
+    return this.tasks.get(id) || this.register(id);
+  }
+
+  /**
+   * 更新任务进度
+   * @param {string} id - 任务标识
+   * @param {number} loaded - 已加载量
+   * @param {number} total - 总量，未知时（lengthComputable 为 false）忽略本次更新
+   */
+  update(id, loaded, total) {
+    const task = this.getTask(id);
+    if (task.done || !total || !Number.isFinite(total)) return;
+
+    task.progress = THREE.MathUtils.clamp(loaded / total, 0, 1);
+    this.emitProgress(id);
+  }
+
+  /**
+   * 标记任务完成
+   * @param {string} id - 任务标识
+   */
+  complete(id) {
+    this.finish(this.getTask(id));
+  }
+
+  /**
+   * 上报任务错误（不结束任务）
+   * @param {string} id - 任务标识
+   * @param {Error} error - 错误对象
+   */
+  reportError(id, error) {
+    const task = this.getTask(id);
+    task.errors.push(error);
+    this.dispatchEvent({ type: "error", id, error });
+  }
+
+  /**
+   * 标记任务失败，失败的任务视为已结束，不会阻塞整体完成
+   * @param {string} id - 任务标识
+   * @param {Error} error - 错误对象
+   */
+  fail(id, error) {
+    this.reportError(id, error);
+    this.finish(this.tasks.get(id));
+  }
+
+  /**
+   * 创建绑定到指定任务的 LoadingManager，用于按文件数统计纹理等资源的加载进度
+   * @param {string} id - 任务标识
+   * @param {Object} options - 任务配置，同 register
+   * @returns {THREE.LoadingManager} 加载管理器
+   */
+  createLoadingManager(id, options = {}) {
+    this.register(id, options);
+
+    return new THREE.LoadingManager(
+      () => this.complete(id),
+      (url, itemsLoaded, itemsTotal) => this.update(id, itemsLoaded, itemsTotal),
+      (url) => this.reportError(id, new Error(`资源加载失败: ${url}`))
+    );
+  }
+
+  /**
+   * 获取加权后的总体进度
+   * @returns {number} 进度 (0-1)
+   */
+  getProgress() {
+    let totalWeight = 0;
+    let loadedWeight = 0;
+
+    this.tasks.forEach((task) => {
+      totalWeight += task.weight;
+      loadedWeight += task.weight * task.progress;
+    });
+
+    return totalWeight > 0 ? loadedWeight / totalWeight : 0;
+  }
+
+  /**
+   * 是否所有任务均已结束
+   */
+  isComplete() {
+    return (
+      this.tasks.size > 0 &&
+      Array.from(this.tasks.values()).every((task) => task.done)
+    );
+  }
+
+  /**
+   * 结束任务并在全部任务结束时派发 complete 事件
+   * @param {Object} task - 任务对象
+   */
+  finish(task) {
+    if (task.done) return;
+
+    task.done = true;
+    task.progress = 1;
+    this.emitProgress(task.id);
+
+    if (this.isLoading && this.isComplete()) {
+      this.isLoading = false;
+      const tasks = Array.from(this.tasks.values());
+      this.dispatchEvent({
+        type: "complete",
+        failed: tasks.filter((item) => item.errors.length > 0).map((item) => item.id),
+      });
+    }
+  }
+
+  /**
+   * 派发 progress 事件
+   * @param {string} id - 触发更新的任务标识
+   */
+  emitProgress(id) {
+    this.dispatchEvent({ type: "progress", id, progress: this.getProgress() });
+  }
+
+  /**
+   * 清空所有任务
+   */
+  reset() {
+    this.tasks.clear();
+    this.isLoading = false;
+  }
+}
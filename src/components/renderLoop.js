@@ -0,0 +1,365 @@
+/**
+ * 渲染循环
+ * 统一使用 requestAnimationFrame 的时间戳作为时钟，按优先级调用注册的更新回调后渲染一帧
+ * 支持暂停（时间停止，回调仍以 0 增量调用以便相机控制器等继续响应）、时间缩放和固定时间步长
+ * 按需渲染模式下，没有回调报告仍在变化且没有 invalidate 请求时停止请求下一帧；
+ * 低频回调（throttle）报告变化时按 idleFrameRate 继续渲染，用于地面流光等时间驱动的效果
+ */
+export class RenderLoop {
+  constructor() {
+    // 回调名称 -> { name, callback, priority, fixed, throttle, order, active }
+    this.callbacks = new Map();
+    // 按优先级排序后的回调
+    this.queue = [];
+    this.renderCallback = null;
+    this.options = {
+      timeScale: 1,
+      fixedStep: 0, // 固定时间步长（秒），为 0 时固定步长回调同样按帧调用
+      maxSubSteps: 5, // 每帧最多执行的固定步长次数，超出的时间丢弃
+      maxDelta: 0.1, // 单帧时间增量上限（秒），避免切回标签页时产生很大的增量
+      onDemand: false,
+      idleFrameRate: 10, // 按需渲染模式下只有低频回调在变化时的帧率，为 0 时不渲染
+    };
+    this.running = false;
+    this.paused = false;
+    this.frameId = null;
+    this.idleTimer = null;
+    this.lastTime = null;
+    // 经过时间缩放和暂停后的累计时间（秒）
+    this.elapsed = 0;
+    this.accumulator = 0;
+    this.frame = 0;
+    // 按需渲染模式下还需要渲染的帧数
+    this.pendingFrames = 0;
+    this.order = 0;
+    this.tick = this.tick.bind(this);
+  }
+
+  /**
+   * 初始化渲染循环
+   * @param {Object} options - 配置选项
+   * @param {Function} options.render - 每帧更新完成后调用的渲染函数 (delta, elapsed) => void
+   * @param {number} options.timeScale - 时间缩放
+   * @param {number} options.fixedStep - 固定时间步长（秒）
+   * @param {number} options.maxSubSteps - 每帧最多执行的固定步长次数
+   * @param {number} options.maxDelta - 单帧时间增量上限（秒）
+   * @param {boolean} options.onDemand - 是否按需渲染
+   * @param {number} options.idleFrameRate - 按需渲染模式下低频回调的帧率
+   */
+  init(options = {}) {
+    const { render = null, ...rest } = options;
+    this.renderCallback = render;
+    this.options = { ...this.options, ...rest };
+  }
+
+  /**
+   * 注册更新回调，同名回调会被替换
+   * 回调参数为 (delta, elapsed, loop)，返回 true 表示仍在变化，按需渲染模式下继续请求下一帧
+   * @param {string} name - 回调名称
+   * @param {Function} callback - 更新回调
+   * @param {Object} options - 配置选项
+   * @param {number} options.priority - 优先级，数值小的先执行，相同时按注册顺序
+   * @param {boolean} options.fixed - 是否按固定时间步长调用（设置了 fixedStep 时一帧可能调用多次或不调用）
+   * @param {boolean} options.throttle - 是否为低频回调：按需渲染模式下其返回 true 时只按 idleFrameRate 请求帧
+   */
+  add(name, callback, options = {}) {
+    const { priority = 0, fixed = false, throttle = false } = options;
+    this.callbacks.set(name, {
+      name,
+      callback,
+      priority,
+      fixed,
+      throttle,
+      order: this.order++,
+      active: false,
+    });
+    this.sortQueue();
+    this.invalidate();
+  }
+
+  /**
+   * 移除更新回调
+   * @param {string} name - 回调名称
+   * @returns {boolean} 回调是否存在
+   */
+  remove(name) {
+    const removed = this.callbacks.delete(name);
+    if (removed) {
+      this.sortQueue();
+      this.invalidate();
+    }
+    return removed;
+  }
+
+  /**
+   * 是否已注册回调
+   * @param {string} name - 回调名称
+   */
+  has(name) {
+    return this.callbacks.has(name);
+  }
+
+  /**
+   * 按优先级重新排序回调
+   */
+  sortQueue() {
+    this.queue = Array.from(this.callbacks.values()).sort(
+      (a, b) => a.priority - b.priority || a.order - b.order
+    );
+  }
+
+  /**
+   * 开始循环
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastTime = null;
+    this.invalidate();
+  }
+
+  /**
+   * 停止循环
+   */
+  stop() {
+    this.running = false;
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.clearIdleTimer();
+  }
+
+  /**
+   * 暂停时间：回调继续调用，时间增量为 0
+   */
+  pause() {
+    this.paused = true;
+    this.invalidate();
+  }
+
+  /**
+   * 恢复时间
+   */
+  resume() {
+    this.paused = false;
+    this.invalidate();
+  }
+
+  /**
+   * 是否已暂停
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * 设置时间缩放
+   * @param {number} timeScale - 时间缩放倍数
+   */
+  setTimeScale(timeScale) {
+    this.options.timeScale = timeScale;
+    this.invalidate();
+  }
+
+  /**
+   * 设置固定时间步长
+   * @param {number} fixedStep - 固定时间步长（秒），为 0 时关闭
+   */
+  setFixedStep(fixedStep) {
+    this.options.fixedStep = fixedStep;
+    this.accumulator = 0;
+  }
+
+  /**
+   * 开启/关闭按需渲染
+   * @param {boolean} enabled - 是否按需渲染
+   */
+  setOnDemand(enabled) {
+    this.options.onDemand = !!enabled;
+    this.invalidate();
+  }
+
+  /**
+   * 设置按需渲染模式下低频回调的帧率
+   * @param {number} idleFrameRate - 帧率，为 0 时空闲时不渲染
+   */
+  setIdleFrameRate(idleFrameRate) {
+    this.options.idleFrameRate = idleFrameRate;
+    this.invalidate();
+  }
+
+  /**
+   * 请求渲染（按需渲染模式下场景变化后调用）
+   * 所有回调重新视为变化中，固定步长回调在下一次实际调用前不会让循环停下
+   * @param {number} frames - 至少再渲染的帧数
+   */
+  invalidate(frames = 1) {
+    this.pendingFrames = Math.max(this.pendingFrames, frames);
+    this.callbacks.forEach((entry) => {
+      entry.active = true;
+    });
+    this.requestFrame();
+  }
+
+  /**
+   * 请求下一帧（已请求时忽略）
+   */
+  requestFrame() {
+    if (this.running && this.frameId === null) {
+      this.frameId = requestAnimationFrame(this.tick);
+    }
+  }
+
+  /**
+   * 按 idleFrameRate 延迟请求下一帧
+   */
+  requestIdleFrame() {
+    if (this.idleTimer !== null) return;
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.requestFrame();
+    }, 1000 / this.options.idleFrameRate);
+  }
+
+  /**
+   * 取消延迟请求的帧
+   */
+  clearIdleTimer() {
+    if (this.idleTimer !== null) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * 每帧执行：计算时间增量、调用更新回调并渲染
+   * @param {number} timestamp - requestAnimationFrame 时间戳（毫秒）
+   */
+  tick(timestamp) {
+    this.frameId = null;
+    if (!this.running) return;
+    this.clearIdleTimer();
+
+    const { maxDelta, onDemand, idleFrameRate } = this.options;
+    const seconds = timestamp / 1000;
+    // 低频渲染时两帧间隔可能大于 maxDelta，按间隔放宽上限，避免时间驱动的效果变慢
+    const deltaLimit =
+      onDemand && idleFrameRate > 0
+        ? Math.max(maxDelta, 1 / idleFrameRate)
+        : maxDelta;
+    // 循环刚开始或从按需渲染的空闲状态唤醒时，本帧时间增量为 0
+    const rawDelta =
+      this.lastTime === null
+        ? 0
+        : Math.min(Math.max(seconds - this.lastTime, 0), deltaLimit);
+    this.lastTime = seconds;
+
+    const delta = this.paused ? 0 : rawDelta * this.options.timeScale;
+    this.elapsed += delta;
+    this.frame += 1;
+    // 先消耗本帧请求，回调和渲染期间的 invalidate 会请求新的帧
+    this.pendingFrames = Math.max(this.pendingFrames - 1, 0);
+
+    this.update(delta);
+    if (this.renderCallback) {
+      this.renderCallback(delta, this.elapsed);
+    }
+
+    if (!onDemand || this.pendingFrames > 0 || this.isActive(false)) {
+      this.requestFrame();
+    } else if (idleFrameRate > 0 && this.isActive(true)) {
+      this.requestIdleFrame();
+    } else if (this.frameId === null) {
+      this.lastTime = null;
+    }
+  }
+
+  /**
+   * 是否有回调报告仍在变化
+   * @param {boolean} throttle - 检查低频回调还是普通回调
+   */
+  isActive(throttle) {
+    return this.queue.some(
+      (entry) => entry.throttle === throttle && entry.active
+    );
+  }
+
+  /**
+   * 按优先级调用更新回调（固定步长回调本帧未调用时沿用上次报告的状态）
+   * @param {number} delta - 本帧时间增量（秒）
+   */
+  update(delta) {
+    const { fixedStep, maxSubSteps } = this.options;
+    let steps = 0;
+    if (fixedStep > 0) {
+      this.accumulator += delta;
+      steps = Math.floor(this.accumulator / fixedStep);
+      if (steps > maxSubSteps) {
+        steps = maxSubSteps;
+        this.accumulator = 0;
+      } else {
+        this.accumulator -= steps * fixedStep;
+      }
+    }
+
+    this.queue.forEach((entry) => {
+      if (entry.fixed && fixedStep > 0) {
+        for (let i = 0; i < steps; i++) {
+          this.runCallback(entry, fixedStep);
+        }
+      } else {
+        this.runCallback(entry, delta);
+      }
+    });
+  }
+
+  /**
+   * 调用单个回调，回调抛出的异常不会中断循环
+   * @param {Object} entry - 回调信息
+   * @param {number} delta - 时间增量（秒）
+   */
+  runCallback(entry, delta) {
+    try {
+      entry.active = entry.callback(delta, this.elapsed, this) === true;
+    } catch (error) {
+      entry.active = false;
+      console.error(`渲染循环回调 ${entry.name} 执行失败:`, error);
+    }
+  }
+
+  /**
+   * 获取循环状态（用于与宿主页面通信）
+   * @returns {Object} { running, paused, timeScale, fixedStep, onDemand, idleFrameRate, idle, elapsed, frame, callbacks }
+   */
+  getState() {
+    return {
+      running: this.running,
+      paused: this.paused,
+      timeScale: this.options.timeScale,
+      fixedStep: this.options.fixedStep,
+      onDemand: this.options.onDemand,
+      idleFrameRate: this.options.idleFrameRate,
+      // 按需渲染模式下循环已停止请求帧
+      idle: this.running && this.frameId === null && this.idleTimer === null,
+      elapsed: this.elapsed,
+      frame: this.frame,
+      callbacks: this.queue.map(({ name, priority, throttle, active }) => ({
+        name,
+        priority,
+        throttle,
+        active,
+      })),
+    };
+  }
+
+  /**
+   * 清理资源
+   */
+  dispose() {
+    this.stop();
+    this.callbacks.clear();
+    this.queue = [];
+    this.renderCallback = null;
+  }
+}
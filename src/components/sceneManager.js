@@ -1,23 +1,81 @@
 import * as THREE from "three";
 import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment.js";
 import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { Sky } from "three/examples/jsm/objects/Sky.js";
+import { FogManager } from "./fogManager.js";
 import { 
   environmentPresets, 
+  environmentLoaderConfig,
   getEnvironmentPreset, 
-  validateEnvironmentConfig 
+  validateEnvironmentConfig,
+  detectEnvironmentSource,
 } from "../assets/enviromentConfig.js";
 
+// 配置中的色调映射名称到 three.js 常量的映射
+const TONE_MAPPINGS = {
+  none: THREE.NoToneMapping,
+  linear: THREE.LinearToneMapping,
+  reinhard: THREE.ReinhardToneMapping,
+  cineon: THREE.CineonToneMapping,
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  neutral: THREE.NeutralToneMapping,
+};
+
+// 程序化天空的默认参数
+const DEFAULT_SKY = {
+  elevation: 30, // 太阳高度角（度）
+  azimuth: 180, // 太阳方位角（度）
+  turbidity: 10, // 大气浑浊度
+  rayleigh: 2, // 瑞利散射系数
+  mieCoefficient: 0.005,
+  mieDirectionalG: 0.7,
+  scale: 10000, // 天空盒尺寸
+};
+
+// 太阳接近地平线时的颜色
+const SUN_HORIZON_COLOR = new THREE.Color(0xff9a5a);
+
+// 雾效未指定颜色且无法从背景推导时使用的颜色
+const DEFAULT_FOG_COLOR = 0xcfc9c9;
+// 程序化天空地平线附近的雾效颜色
+const SKY_FOG_COLOR = 0xbfd1e5;
+
 /**
  * 场景管理器
  * 负责创建和管理Three.js场景、环境设置和雾效
+ * 派发事件: environmentChange（scene.environment 变化后，包括异步加载完成时）
+ *          sunChange（程序化天空的太阳位置变化后）
+ *          dirty（场景在渲染循环之外发生变化，按需渲染模式下需要重新渲染）
  */
-export class SceneManager {
+export class SceneManager extends THREE.EventDispatcher {
   constructor() {
+    super();
     this.scene = null;
     this.renderer = null;
     this.pmremGenerator = null;
+    this.ktx2Loader = null;
+    this.progressTracker = null;
+    this.sky = null;
+    this.skyConfig = null;
+    this.skyRenderTarget = null;
+    this.fogManager = new FogManager();
+    // 后处理管理器（可选），尺寸随渲染器同步更新
+    this.postProcessingManager = null;
     // 使用配置文件中的默认配置
     this.environmentConfig = { ...environmentPresets.room };
+    this.backgroundConfig = { type: "none" };
+    this.currentPreset = null;
+    // 当前环境创建的纹理和渲染目标，切换环境时统一释放
+    this.environmentResources = new Set();
+    // 经 PMREM 预过滤的环境贴图缓存（路径 -> WebGLRenderTarget），切换环境时保留
+    this.environmentCache = new Map();
+    // 每次切换环境递增，用于丢弃过期的异步加载结果
+    this.environmentToken = 0;
+    // 渲染器初始的色调映射设置，环境配置未指定时恢复
+    this.defaultToneMapping = null;
   }
 
   /**
@@ -28,6 +86,7 @@ export class SceneManager {
    * @param {boolean} options.enableShadows - 是否启用阴影
    * @param {boolean} options.enableAntialias - 是否启用抗锯齿
    * @param {Object} options.environment - 环境贴图配置
+   * @param {ProgressTracker} options.progressTracker - 加载进度追踪器（可选）
    */
   init(options = {}) {
     const {
@@ -36,10 +95,14 @@ export class SceneManager {
       enableShadows = true,
       enableAntialias = true,
       environment = {},
+      progressTracker = null,
     } = options;
 
+    this.progressTracker = progressTracker;
+
     // 创建场景
     this.scene = new THREE.Scene();
+    this.fogManager.init(this.scene);
 
     // 创建渲染器
     this.renderer = new THREE.WebGLRenderer({ antialias: enableAntialias });
@@ -57,12 +120,13 @@ export class SceneManager {
     // 启用更高质量的纹理过滤
     this.renderer.physicallyCorrectLights = true;
 
-    // 更新环境配置
-    this.updateEnvironmentConfig(environment);
-
-    // 设置线性雾效
-    // this.setupFog();
+    this.defaultToneMapping = {
+      toneMapping: this.renderer.toneMapping,
+      exposure: this.renderer.toneMappingExposure,
+    };
 
+    // 更新环境配置（包括雾效）
+    this.updateEnvironmentConfig(environment);
 
     return {
       scene: this.scene,
@@ -93,10 +157,30 @@ export class SceneManager {
     if (this.renderer) {
       this.renderer.setSize(width, height);
     }
+    if (this.postProcessingManager) {
+      this.postProcessingManager.setSize(width, height);
+    }
+    this.markDirty();
+  }
+
+  /**
+   * 标记场景需要重新渲染（派发 dirty 事件）
+   * 异步加载完成或在渲染循环之外修改场景后调用
+   */
+  markDirty() {
+    this.dispatchEvent({ type: "dirty" });
+  }
+
+  /**
+   * 关联后处理管理器，渲染器尺寸变化时同步更新后处理缓冲
+   * @param {PostProcessingManager} postProcessingManager - 后处理管理器
+   */
+  setPostProcessing(postProcessingManager) {
+    this.postProcessingManager = postProcessingManager;
   }
 
   /**
-   * 设置雾效
+   * 设置线性雾效
    * @param {Object} options - 雾效配置
    */
   setupFog(options = {}) {
@@ -106,11 +190,63 @@ export class SceneManager {
       far = 500,
     } = options;
 
-    this.scene.fog = new THREE.Fog(color, near, far);
+    this.fogManager.setConfig({ enabled: true, type: "linear", color, near, far });
   }
 
   /**
-   * 更新环境配置
+   * 按环境配置设置雾效，未指定颜色时与背景颜色保持一致
+   * @param {Object|null} fogConfig - 雾效配置，为空时关闭雾效
+   */
+  applyFog(fogConfig) {
+    if (!fogConfig) {
+      this.fogManager.setConfig({ enabled: false });
+      return;
+    }
+
+    this.fogManager.setConfig({
+      enabled: true,
+      ...fogConfig,
+      color: fogConfig.color ?? this.getFogColor(),
+    });
+  }
+
+  /**
+   * 根据背景推导雾效颜色：纯色背景取背景色，渐变背景取底部（地平线）颜色
+   * @returns {number|THREE.Color} 雾效颜色
+   */
+  getFogColor() {
+    const background = this.backgroundConfig;
+    switch (background.type) {
+      case "color":
+        return background.color ?? 0x87ceeb;
+      case "gradient":
+        return background.bottomColor ?? 0xffffff;
+      case "sky":
+        return SKY_FOG_COLOR;
+      default:
+        return DEFAULT_FOG_COLOR;
+    }
+  }
+
+  /**
+   * 运行时调整雾效参数（与当前配置合并）
+   * @param {Object} params - 雾效参数: enabled, type, color, near, far, density, height, falloff
+   */
+  updateFog(params = {}) {
+    this.fogManager.update(params);
+  }
+
+  /**
+   * 设置模型包围盒，雾效的距离、密度和高度据此自动计算
+   * 同时为新加载模型的材质应用高度雾
+   * @param {THREE.Box3} boundingBox - 模型包围盒
+   */
+  setFogBounds(boundingBox) {
+    this.fogManager.setBounds(boundingBox);
+  }
+
+  /**
+   * 更新环境配置（与当前配置合并）
    * @param {Object} config - 环境配置
    */
   updateEnvironmentConfig(config = {}) {
@@ -123,45 +259,102 @@ export class SceneManager {
     
     // 合并配置
     this.environmentConfig = { ...this.environmentConfig, ...config };
+    this.applyEnvironmentConfig();
     
+    return true;
+  }
+
+  /**
+   * 切换到环境预设，背景、环境贴图和色调映射整体替换
+   * 上一个环境创建的纹理和 PMREM 渲染目标会被释放
+   * @param {string} name - 预设名称，见 enviromentConfig.js 中的 environmentPresets
+   * @returns {boolean} 是否切换成功
+   */
+  switchPreset(name) {
+    const preset = environmentPresets[name];
+    if (!preset) {
+      console.warn(`未知的环境预设: ${name}`);
+      return false;
+    }
+
+    const validation = validateEnvironmentConfig(preset);
+    if (!validation.valid) {
+      console.warn('环境配置验证失败:', validation.errors);
+      return false;
+    }
+
+    this.environmentConfig = { ...preset };
+    this.currentPreset = name;
+    this.applyEnvironmentConfig();
+    return true;
+  }
+
+  /**
+   * 应用当前环境配置
+   */
+  applyEnvironmentConfig() {
     // 如果启用环境，则设置环境贴图
     if (this.environmentConfig.enabled) {
       this.setEnvironment(this.environmentConfig.type, this.environmentConfig);
     } else {
       this.clearEnvironment();
+      this.applyToneMapping({});
+      this.applyFog(null);
+      this.notifyEnvironmentChange();
     }
-    
-    return true;
   }
 
   /**
    * 设置环境效果
-   * @param {string} type - 环境类型: 'room', 'hdr', 'default', 'none'
+   * @param {string} type - 环境类型: 'room', 'hdr', 'exr', 'ktx2', 'cubemap', 'sky', 'default', 'none'
    * @param {Object} options - 配置选项
+   * @param {Object} options.background - 背景配置，未指定时按环境类型取默认值
+   * @param {string} options.toneMapping - 色调映射: 'none' | 'linear' | 'reinhard' | 'cineon' | 'aces' | 'agx' | 'neutral'
+   * @param {number} options.exposure - 曝光值，作用于 renderer.toneMappingExposure
+   * @param {Object} options.fog - 雾效配置，见 FogManager
    */
   setEnvironment(type = "room", options = {}) {
     // 先清理现有环境
     this.clearEnvironment();
+    const token = this.environmentToken;
+
+    this.applyToneMapping(options);
+    this.scene.environmentIntensity = options.intensity ?? 1;
+    this.backgroundConfig =
+      options.background || this.getDefaultBackground(type, options);
 
     switch (type) {
-      case "room":
+      case "room": {
         // 使用 RoomEnvironment
-        this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
-        this.scene.environment = this.pmremGenerator.fromScene(
-          new RoomEnvironment(),
-          options.intensity || 0.8
-        ).texture;
-        console.log("已设置 RoomEnvironment，强度:", options.intensity || 0.8);
+        let texture = this.getCachedEnvironment("room");
+        if (!texture) {
+          const roomEnvironment = new RoomEnvironment();
+          texture = this.cacheEnvironment(
+            "room",
+            this.getPMREMGenerator().fromScene(roomEnvironment, 0.04)
+          );
+          roomEnvironment.dispose();
+        }
+        this.setEnvironmentTexture(texture);
+        console.log("已设置 RoomEnvironment，强度:", this.scene.environmentIntensity);
         break;
+      }
 
       case "hdr":
-        // 使用 HDR 环境贴图
-        this.setHDRSky(options);
+      case "exr":
+      case "ktx2":
+      case "cubemap":
+        // 使用文件环境贴图，加载器由 hdrPath 的扩展名决定
+        this.setHDRSky(options, token);
+        break;
+
+      case "sky":
+        // 使用程序化天空
+        this.setSky(options.sky);
         break;
 
       case "default":
-        // 使用默认环境
-        this.scene.background = new THREE.Color(0x87ceeb);
+        // 使用默认环境，只设置背景
         console.log("已设置默认环境");
         break;
 
@@ -175,117 +368,659 @@ export class SceneManager {
         break;
     }
 
+    this.setBackground(this.backgroundConfig, token);
+    this.applyFog(options.fog);
+
     // 更新所有材质的环境贴图
     this.updateAllMaterialsEnvironment();
+    this.notifyEnvironmentChange();
   }
 
   /**
-   * 设置 HDR 天空贴图
-   * @param {Object} options - 配置选项
+   * 获取环境类型对应的默认背景配置
+   * 文件环境默认以环境贴图作为背景，默认环境使用 backgroundColor 纯色背景
+   * @param {string} type - 环境类型
+   * @param {Object} options - 环境配置
+   * @returns {Object} 背景配置
    */
-  setHDRSky(options = {}) {
-    console.log("开始加载 HDR 天空贴图...");
+  getDefaultBackground(type, options = {}) {
+    switch (type) {
+      case "hdr":
+      case "exr":
+      case "ktx2":
+      case "cubemap":
+        return { type: "environment" };
+      case "sky":
+        return { type: "sky" };
+      case "default":
+        return { type: "color", color: options.backgroundColor ?? 0x87ceeb };
+      default:
+        return { type: "none" };
+    }
+  }
+
+  /**
+   * 设置色调映射和曝光，未指定时恢复渲染器初始设置
+   * @param {Object} options - 环境配置
+   * @param {string} options.toneMapping - 色调映射名称
+   * @param {number} options.exposure - 曝光值
+   */
+  applyToneMapping(options = {}) {
+    if (!this.renderer || !this.defaultToneMapping) return;
+
+    const { toneMapping, exposure } = options;
+    this.renderer.toneMapping =
+      toneMapping !== undefined
+        ? TONE_MAPPINGS[toneMapping]
+        : this.defaultToneMapping.toneMapping;
+    this.renderer.toneMappingExposure =
+      exposure !== undefined ? exposure : this.defaultToneMapping.exposure;
+  }
+
+  /**
+   * 获取共享的 PMREM 生成器
+   */
+  getPMREMGenerator() {
+    if (!this.pmremGenerator) {
+      this.pmremGenerator = new THREE.PMREMGenerator(this.renderer);
+    }
+    return this.pmremGenerator;
+  }
+
+  /**
+   * 获取共享的 KTX2 加载器（首次使用时检测渲染器支持的压缩格式）
+   */
+  getKTX2Loader() {
+    if (!this.ktx2Loader) {
+      this.ktx2Loader = new KTX2Loader()
+        .setTranscoderPath(environmentLoaderConfig.ktx2TranscoderPath)
+        .detectSupport(this.renderer);
+    }
+    return this.ktx2Loader;
+  }
+
+  /**
+   * 按文件扩展名创建环境贴图加载器
+   * @param {string|Array<string>} path - 贴图路径，立方体贴图为目录（以 "/" 结尾）或六个文件路径
+   * @returns {Object|null} { loader, url }，url 为传给 loader.load 的参数；无法识别时返回 null
+   */
+  createEnvironmentLoader(path) {
+    switch (detectEnvironmentSource(path)) {
+      case "hdr":
+        return { loader: new RGBELoader().setDataType(THREE.HalfFloatType), url: path };
+      case "exr":
+        return { loader: new EXRLoader().setDataType(THREE.HalfFloatType), url: path };
+      case "ktx2":
+        return { loader: this.getKTX2Loader(), url: path };
+      case "cubemap":
+        return Array.isArray(path)
+          ? { loader: new THREE.CubeTextureLoader(), url: path }
+          : {
+              loader: new THREE.CubeTextureLoader().setPath(path),
+              url: environmentLoaderConfig.cubemapFiles,
+            };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 设置环境贴图，背景配置为 environment 时同时作为背景
+   * @param {THREE.Texture} texture - 环境贴图
+   */
+  setEnvironmentTexture(texture) {
+    this.scene.environment = texture;
+    if (this.backgroundConfig.type === "environment") {
+      this.scene.background = texture;
+    }
+  }
+
+  /**
+   * 设置背景
+   * @param {Object} background - 背景配置
+   * @param {string} background.type - 背景类型: 'none' | 'color' | 'gradient' | 'texture' | 'hdr' | 'environment' | 'sky'
+   * @param {number} background.color - 纯色背景颜色
+   * @param {number} background.topColor - 渐变背景顶部颜色
+   * @param {number} background.bottomColor - 渐变背景底部颜色
+   * @param {string} background.path - 纹理或 HDR 文件路径
+   * @param {string} background.mapping - 纹理映射: 'equirectangular'（全景，默认）| 'screen'（铺满屏幕）
+   * @param {number} background.blurriness - 背景模糊度 (0-1)，用于显示模糊的环境贴图
+   * @param {number} background.intensity - 背景亮度
+   * @param {number} token - 环境切换标识，异步加载完成时用于判断是否过期
+   */
+  setBackground(background = {}, token = this.environmentToken) {
+    const { type = "none", blurriness = 0, intensity = 1 } = background;
+
+    this.scene.backgroundBlurriness = blurriness;
+    this.scene.backgroundIntensity = intensity;
+
+    switch (type) {
+      case "color":
+        this.scene.background = new THREE.Color(background.color ?? 0x87ceeb);
+        break;
+
+      case "gradient": {
+        const texture = this.createGradientTexture(
+          background.topColor ?? 0x87ceeb,
+          background.bottomColor ?? 0xffffff
+        );
+        this.environmentResources.add(texture);
+        this.scene.background = texture;
+        break;
+      }
+
+      case "texture":
+      case "hdr":
+        this.loadBackgroundTexture(background, token);
+        break;
 
-    const loader = new RGBELoader();
-    loader.setDataType(THREE.FloatType);
+      case "environment":
+        // 环境贴图异步加载时，由 setEnvironmentTexture 在加载完成后设置
+        this.scene.background = this.scene.environment;
+        break;
+
+      case "sky":
+        // 由程序化天空的 Sky 网格绘制背景
+        this.scene.background = null;
+        break;
+
+      case "none":
+        this.scene.background = null;
+        break;
+
+      default:
+        console.warn(`未知的背景类型: ${type}`);
+        break;
+    }
+  }
+
+  /**
+   * 创建竖直渐变背景纹理
+   * @param {number} topColor - 顶部颜色
+   * @param {number} bottomColor - 底部颜色
+   * @returns {THREE.CanvasTexture} 渐变纹理
+   */
+  createGradientTexture(topColor, bottomColor) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 2;
+    canvas.height = 256;
+
+    const context = canvas.getContext("2d");
+    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
+    gradient.addColorStop(0, `#${new THREE.Color(topColor).getHexString()}`);
+    gradient.addColorStop(1, `#${new THREE.Color(bottomColor).getHexString()}`);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+
+  /**
+   * 加载纹理或 HDR 背景
+   * @param {Object} background - 背景配置
+   * @param {number} token - 环境切换标识
+   */
+  loadBackgroundTexture(background, token) {
+    const { type, path, mapping = "equirectangular" } = background;
+    const taskId = "environment:background";
+    // hdr 背景与环境贴图一样按扩展名选择加载器（HDR / EXR / KTX2 / 立方体贴图）
+    const { loader, url } =
+      (type === "hdr"
+        ? this.createEnvironmentLoader(path)
+        : { loader: new THREE.TextureLoader(), url: path }) || {};
+    if (!loader) {
+      console.warn(`无法识别的背景贴图格式: ${path}`);
+      return;
+    }
+
+    if (this.progressTracker) {
+      this.progressTracker.register(taskId, { type: "environment" });
+    }
 
     loader.load(
-      options.hdrPath || this.environmentConfig.hdrPath,
+      url,
       (texture) => {
-        console.log("HDR 加载成功:", texture);
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        texture.colorSpace = THREE.SRGBColorSpace;
-        texture.exposure = options.exposure || 2;
+        if (this.progressTracker) {
+          this.progressTracker.complete(taskId);
+        }
+        // 加载期间已切换到其他环境，丢弃结果
+        if (token !== this.environmentToken) {
+          texture.dispose();
+          return;
+        }
+
+        if (mapping === "equirectangular" && !texture.isCubeTexture) {
+          texture.mapping = THREE.EquirectangularReflectionMapping;
+        }
+        if (type === "texture" || detectEnvironmentSource(path) === "cubemap") {
+          texture.colorSpace = THREE.SRGBColorSpace;
+        }
+        this.environmentResources.add(texture);
         this.scene.background = texture;
+        this.markDirty();
+        console.log("背景加载完成:", path);
+      },
+      (progress) => {
+        if (this.progressTracker) {
+          this.progressTracker.update(
+            taskId,
+            progress.loaded,
+            progress.lengthComputable ? progress.total : 0
+          );
+        }
+      },
+      (error) => {
+        console.error("背景加载失败:", error);
+        if (this.progressTracker) {
+          this.progressTracker.fail(taskId, error);
+        }
+      }
+    );
+  }
+
+  /**
+   * 派发 environmentChange 事件
+   */
+  notifyEnvironmentChange() {
+    this.dispatchEvent({
+      type: "environmentChange",
+      environment: this.scene.environment,
+    });
+    this.markDirty();
+  }
+
+  /**
+   * 设置 HDR 天空贴图（也支持 EXR、KTX2 和立方体贴图，按 hdrPath 的扩展名选择加载器）
+   * 贴图经 PMREM 预过滤后按路径缓存，再次切换到同一路径时直接使用缓存
+   * @param {Object} options - 配置选项
+   * @param {number} token - 环境切换标识
+   */
+  setHDRSky(options = {}, token = this.environmentToken) {
+    const path = options.hdrPath || this.environmentConfig.hdrPath;
+    const cacheKey = this.getEnvironmentCacheKey(path);
+    const cached = this.getCachedEnvironment(cacheKey);
+    if (cached) {
+      this.setEnvironmentTexture(cached);
+      console.log("使用缓存的环境贴图:", cacheKey);
+      return;
+    }
+
+    const environmentLoader = this.createEnvironmentLoader(path);
+    if (!environmentLoader) {
+      console.warn(`无法识别的环境贴图格式: ${path}，尝试使用备用方案`);
+      this.setFallbackSky(options, token);
+      return;
+    }
 
-        // 创建环境贴图副本，设置强度
-        const envTexture = texture.clone();
-        envTexture.intensity = options.intensity || this.environmentConfig.intensity;
-        this.scene.environment = envTexture;
+    console.log("开始加载环境贴图:", cacheKey);
 
-        console.log("HDR 天空贴图设置完成，强度:", envTexture.intensity);
+    if (this.progressTracker) {
+      this.progressTracker.register("environment:hdr", { type: "environment" });
+    }
+
+    environmentLoader.loader.load(
+      environmentLoader.url,
+      (texture) => {
+        console.log("环境贴图加载成功:", texture);
+        if (detectEnvironmentSource(path) === "cubemap") {
+          texture.colorSpace = THREE.SRGBColorSpace;
+        }
+        this.applyLoadedEnvironment(cacheKey, texture, token);
+        if (this.progressTracker) {
+          this.progressTracker.complete("environment:hdr");
+        }
       },
       (progress) => {
-        if (progress.lengthComputable) {
-          console.log(
-            "HDR 加载进度:",
-            (progress.loaded / progress.total) * 100 + "%"
+        if (this.progressTracker) {
+          this.progressTracker.update(
+            "environment:hdr",
+            progress.loaded,
+            progress.lengthComputable ? progress.total : 0
           );
         }
       },
       (error) => {
-        console.error("HDR 加载失败:", error);
+        console.error("环境贴图加载失败:", error);
         console.log("尝试使用备用方案...");
-        this.setFallbackSky(options);
+        if (this.progressTracker) {
+          this.progressTracker.reportError("environment:hdr", error);
+        }
+        if (token === this.environmentToken) {
+          this.setFallbackSky(options, token);
+        } else if (this.progressTracker) {
+          this.progressTracker.complete("environment:hdr");
+        }
       }
     );
   }
 
   /**
    * 备用天空设置方案
+   * 与主环境贴图一样按 fallbackPath 的扩展名选择加载器，无法识别的格式按普通 LDR 图片加载
    * @param {Object} options - 配置选项
+   * @param {number} token - 环境切换标识
    */
-  setFallbackSky(options = {}) {
+  setFallbackSky(options = {}, token = this.environmentToken) {
+    const path = options.fallbackPath || this.environmentConfig.fallbackPath;
+    const cacheKey = this.getEnvironmentCacheKey(path);
+    const cached = this.getCachedEnvironment(cacheKey);
+    if (cached) {
+      this.setEnvironmentTexture(cached);
+      this.updateAllMaterialsEnvironment();
+      this.notifyEnvironmentChange();
+      if (this.progressTracker) {
+        this.progressTracker.complete("environment:hdr");
+      }
+      return;
+    }
+
     try {
-      const textureLoader = new THREE.TextureLoader();
-      textureLoader.load(
-        options.fallbackPath || this.environmentConfig.fallbackPath,
+      const source = detectEnvironmentSource(path);
+      const { loader, url } = this.createEnvironmentLoader(path) || {
+        loader: new THREE.TextureLoader(),
+        url: path,
+      };
+      loader.load(
+        url,
         (texture) => {
           console.log("备用方案加载成功");
-          texture.mapping = THREE.EquirectangularReflectionMapping;
-          texture.colorSpace = THREE.SRGBColorSpace;
-          texture.exposure = options.exposure || 0.2;
-          this.scene.background = texture;
-
-          // 创建环境贴图副本，设置强度
-          const envTexture = texture.clone();
-          envTexture.intensity = options.intensity || this.environmentConfig.intensity;
-          this.scene.environment = envTexture;
+          // HDR / EXR / KTX2 为线性数据，只有 LDR 图片和立方体贴图按 sRGB 处理
+          if (!source || source === "cubemap") {
+            texture.colorSpace = THREE.SRGBColorSpace;
+          }
+          this.applyLoadedEnvironment(cacheKey, texture, token);
+          if (this.progressTracker) {
+            this.progressTracker.complete("environment:hdr");
+          }
         },
         undefined,
         (error) => {
           console.error("备用方案也失败:", error);
           // 最后使用默认的天空颜色
-          this.scene.background = new THREE.Color(0x87ceeb);
-          console.log("使用默认天空蓝色");
+          if (token === this.environmentToken && this.backgroundConfig.type === "environment") {
+            this.scene.background = new THREE.Color(0x87ceeb);
+            console.log("使用默认天空蓝色");
+          }
+
+          if (this.progressTracker) {
+            this.progressTracker.fail("environment:hdr", error);
+          }
         }
       );
     } catch (error) {
       console.error("备用方案初始化失败:", error);
-      this.scene.background = new THREE.Color(0x87ceeb);
-      console.log("使用默认天空蓝色");
+      if (this.backgroundConfig.type === "environment") {
+        this.scene.background = new THREE.Color(0x87ceeb);
+        console.log("使用默认天空蓝色");
+      }
+
+      if (this.progressTracker) {
+        this.progressTracker.fail("environment:hdr", error);
+      }
     }
   }
 
   /**
-   * 更新所有材质的环境贴图
+   * 将加载完成的贴图经 PMREM 预过滤后缓存，并在未过期时设为环境贴图
+   * 原始贴图在预过滤后立即释放；加载期间已切换到其他环境时只缓存不应用
+   * @param {string} path - 贴图路径（缓存键）
+   * @param {THREE.Texture} texture - 等距柱状贴图或立方体贴图
+   * @param {number} token - 环境切换标识
    */
-  updateAllMaterialsEnvironment() {
+  applyLoadedEnvironment(path, texture, token) {
+    let envTexture = this.getCachedEnvironment(path);
+    if (envTexture) {
+      texture.dispose();
+    } else {
+      const pmremGenerator = this.getPMREMGenerator();
+      let renderTarget;
+      if (texture.isCubeTexture) {
+        renderTarget = pmremGenerator.fromCubemap(texture);
+      } else {
+        texture.mapping = THREE.EquirectangularReflectionMapping;
+        renderTarget = pmremGenerator.fromEquirectangular(texture);
+      }
+      envTexture = this.cacheEnvironment(path, renderTarget);
+      texture.dispose();
+    }
+
+    if (token !== this.environmentToken) {
+      return;
+    }
+
+    this.setEnvironmentTexture(envTexture);
+    this.updateAllMaterialsEnvironment();
+    console.log("环境贴图设置完成:", path);
+    this.notifyEnvironmentChange();
+  }
+
+  /**
+   * 创建程序化天空，背景类型为 sky 时将 Sky 网格加入场景作为背景
+   * @param {Object} skyOptions - 天空参数，见 DEFAULT_SKY
+   */
+  setSky(skyOptions = {}) {
+    this.skyConfig = { ...DEFAULT_SKY, ...skyOptions };
+
+    this.sky = new Sky();
+    this.sky.name = "proceduralSky";
+    this.sky.scale.setScalar(this.skyConfig.scale);
+    this.environmentResources.add(this.sky.geometry);
+    this.environmentResources.add(this.sky.material);
+
+    if (this.backgroundConfig.type === "sky") {
+      this.scene.add(this.sky);
+    }
+
+    this.updateSky();
+    console.log("已设置程序化天空:", this.skyConfig);
+  }
+
+  /**
+   * 更新程序化天空参数，重新生成 PMREM 环境贴图
+   * 可用于按时间调整太阳位置
+   * @param {Object} params - 天空参数（elevation、azimuth、turbidity、rayleigh 等），未指定的保持不变
+   * @returns {boolean} 当前环境不是程序化天空时返回 false
+   */
+  updateSky(params = {}) {
+    if (!this.sky) {
+      console.warn("当前环境不是程序化天空");
+      return false;
+    }
+
+    Object.assign(this.skyConfig, params);
+    const { turbidity, rayleigh, mieCoefficient, mieDirectionalG } = this.skyConfig;
+    const uniforms = this.sky.material.uniforms;
+    uniforms.turbidity.value = turbidity;
+    uniforms.rayleigh.value = rayleigh;
+    uniforms.mieCoefficient.value = mieCoefficient;
+    uniforms.mieDirectionalG.value = mieDirectionalG;
+    uniforms.sunPosition.value.copy(this.getSunDirection());
+
+    // Sky 网格临时移到独立场景中生成环境贴图，再放回主场景
+    const isInScene = this.sky.parent === this.scene;
+    const skyScene = new THREE.Scene();
+    skyScene.add(this.sky);
+    const renderTarget = this.getPMREMGenerator().fromScene(skyScene);
+    if (isInScene) {
+      this.scene.add(this.sky);
+    } else {
+      skyScene.remove(this.sky);
+    }
+
+    // 释放上一次生成的环境贴图
+    const previousEnvironment = this.scene.environment;
+    if (this.skyRenderTarget) {
+      this.environmentResources.delete(this.skyRenderTarget);
+      this.skyRenderTarget.dispose();
+    }
+    this.skyRenderTarget = renderTarget;
+    this.environmentResources.add(renderTarget);
+
+    this.setEnvironmentTexture(renderTarget.texture);
+    this.forEachMaterial((material) => {
+      if (previousEnvironment && material.envMap === previousEnvironment) {
+        material.envMap = renderTarget.texture;
+      }
+    });
+
+    this.dispatchEvent({ type: "sunChange", ...this.getSunState() });
+    this.markDirty();
+    // 首次创建时由 setEnvironment 统一派发 environmentChange
+    if (previousEnvironment) {
+      this.notifyEnvironmentChange();
+    }
+    return true;
+  }
+
+  /**
+   * 设置太阳位置
+   * @param {number} elevation - 太阳高度角（度）
+   * @param {number} azimuth - 太阳方位角（度），默认保持当前值
+   * @returns {boolean} 当前环境不是程序化天空时返回 false
+   */
+  setSunPosition(elevation, azimuth) {
+    return this.updateSky(azimuth === undefined ? { elevation } : { elevation, azimuth });
+  }
+
+  /**
+   * 获取指向太阳的单位向量
+   * @returns {THREE.Vector3} 太阳方向
+   */
+  getSunDirection() {
+    const { elevation, azimuth } = this.skyConfig || DEFAULT_SKY;
+    return new THREE.Vector3().setFromSphericalCoords(
+      1,
+      THREE.MathUtils.degToRad(90 - elevation),
+      THREE.MathUtils.degToRad(azimuth)
+    );
+  }
+
+  /**
+   * 获取太阳光颜色：高空为白色，接近地平线时偏暖，落到地平线以下 5 度时衰减为黑色
+   * @returns {THREE.Color} 太阳光颜色
+   */
+  getSunColor() {
+    const { elevation } = this.skyConfig || DEFAULT_SKY;
+    const color = SUN_HORIZON_COLOR.clone().lerp(
+      new THREE.Color(0xffffff),
+      THREE.MathUtils.clamp(elevation / 30, 0, 1)
+    );
+    return color.multiplyScalar(THREE.MathUtils.clamp((elevation + 5) / 5, 0, 1));
+  }
+
+  /**
+   * 获取程序化天空的太阳状态，当前环境不是程序化天空时返回 null
+   * @returns {Object|null} { elevation, azimuth, direction, color }
+   */
+  getSunState() {
+    if (!this.sky) {
+      return null;
+    }
+    return {
+      elevation: this.skyConfig.elevation,
+      azimuth: this.skyConfig.azimuth,
+      direction: this.getSunDirection(),
+      color: this.getSunColor(),
+    };
+  }
+
+  /**
+   * 获取环境贴图的缓存键（立方体贴图的文件数组以 "|" 连接）
+   * @param {string|Array<string>} path - 贴图路径
+   * @returns {string} 缓存键
+   */
+  getEnvironmentCacheKey(path) {
+    return Array.isArray(path) ? path.join("|") : path;
+  }
+
+  /**
+   * 获取缓存的 PMREM 环境贴图
+   * @param {string} key - 缓存键（贴图路径，RoomEnvironment 为 "room"）
+   * @returns {THREE.Texture|null} 环境贴图
+   */
+  getCachedEnvironment(key) {
+    const renderTarget = this.environmentCache.get(key);
+    return renderTarget ? renderTarget.texture : null;
+  }
+
+  /**
+   * 缓存 PMREM 渲染目标
+   * @param {string} key - 缓存键
+   * @param {THREE.WebGLRenderTarget} renderTarget - PMREM 生成的渲染目标
+   * @returns {THREE.Texture} 环境贴图
+   */
+  cacheEnvironment(key, renderTarget) {
+    this.environmentCache.set(key, renderTarget);
+    return renderTarget.texture;
+  }
+
+  /**
+   * 释放缓存的环境贴图，当前正在使用的环境贴图不会被释放
+   * @param {string} key - 缓存键，不指定时释放所有未使用的缓存
+   * @returns {Array<string>} 已释放的缓存键
+   */
+  releaseEnvironmentCache(key = null) {
+    const keys = key === null ? Array.from(this.environmentCache.keys()) : [key];
+    return keys.filter((cacheKey) => {
+      const renderTarget = this.environmentCache.get(cacheKey);
+      if (!renderTarget || renderTarget.texture === this.scene.environment) {
+        return false;
+      }
+      renderTarget.dispose();
+      this.environmentCache.delete(cacheKey);
+      return true;
+    });
+  }
+
+  /**
+   * 设置环境强度
+   * @param {number} intensity - 环境强度
+   */
+  setEnvironmentIntensity(intensity) {
+    this.environmentConfig.intensity = intensity;
+    this.scene.environmentIntensity = intensity;
+  }
+
+  /**
+   * 遍历场景中的所有材质
+   * @param {Function} callback - 回调 (material) => void
+   */
+  forEachMaterial(callback) {
     this.scene.traverse((object) => {
       if (object.isMesh && object.material) {
         if (Array.isArray(object.material)) {
-          object.material.forEach((material) => {
-            this.setupMaterialEnvironment(material);
-          });
+          object.material.forEach(callback);
         } else {
-          this.setupMaterialEnvironment(object.material);
+          callback(object.material);
         }
       }
     });
   }
 
+  /**
+   * 更新所有材质的环境贴图
+   */
+  updateAllMaterialsEnvironment() {
+    this.forEachMaterial((material) => this.setupMaterialEnvironment(material));
+  }
+
   /**
    * 设置单个材质的环境贴图
+   * 材质默认直接使用 scene.environment，强度由 scene.environmentIntensity 统一控制；
+   * 通过 userData.envMapIntensity 单独指定强度的材质（见 modelConfig.js）需要绑定 envMap 才能生效
    * @param {THREE.Material} material
    */
   setupMaterialEnvironment(material) {
     if (
       material &&
-      (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial)
+      (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) &&
+      material.userData.envMapIntensity !== undefined
     ) {
       if (this.scene.environment) {
         material.envMap = this.scene.environment;
-        material.envMapIntensity = this.environmentConfig.intensity;
+        material.envMapIntensity = material.userData.envMapIntensity;
         material.needsUpdate = true;
       }
     }
@@ -293,16 +1028,36 @@ export class SceneManager {
 
   /**
    * 清理环境贴图资源
+   * 只释放当前环境自己创建的纹理和渲染目标（缓存的 PMREM 环境贴图保留），并使进行中的异步加载失效
    */
   clearEnvironment() {
-    if (this.scene.environment) {
-      this.scene.environment.dispose();
-      this.scene.environment = null;
+    this.environmentToken++;
+
+    // 材质上引用的旧环境贴图一并解除，避免释放后被重新上传
+    const previousEnvironment = this.scene.environment;
+    if (previousEnvironment) {
+      this.forEachMaterial((material) => {
+        if (material.envMap === previousEnvironment) {
+          material.envMap = null;
+          material.needsUpdate = true;
+        }
+      });
     }
-    if (this.scene.background) {
-      this.scene.background.dispose();
-      this.scene.background = null;
+
+    if (this.sky) {
+      this.scene.remove(this.sky);
+      this.sky = null;
+      this.skyConfig = null;
+      this.skyRenderTarget = null;
     }
+
+    this.scene.environment = null;
+    this.scene.background = null;
+    this.scene.backgroundBlurriness = 0;
+    this.scene.backgroundIntensity = 1;
+
+    this.environmentResources.forEach((resource) => resource.dispose());
+    this.environmentResources.clear();
   }
 
   /**
@@ -310,8 +1065,15 @@ export class SceneManager {
    */
   dispose() {
     this.clearEnvironment();
+    this.releaseEnvironmentCache();
+    this.fogManager.dispose();
+    if (this.ktx2Loader) {
+      this.ktx2Loader.dispose();
+      this.ktx2Loader = null;
+    }
     if (this.pmremGenerator) {
       this.pmremGenerator.dispose();
+      this.pmremGenerator = null;
     }
     if (this.renderer) {
       this.renderer.dispose();